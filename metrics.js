@@ -0,0 +1,183 @@
+// Generic Pool Redux - Metrics
+//
+// Exports the state of one or more pools as OpenMetrics text, for
+// Prometheus to scrape. Nothing is served here, so the text can be
+// returned from whatever HTTP server the application already has.
+// ------------------------------------------------
+
+// The content type to serve the metrics with.
+var CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// The default upper bounds, in seconds, of the histogram buckets.
+var DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Counts observations into cumulative buckets, with their sum and count.
+var Histogram = function(buckets) {
+  this.buckets = buckets;
+  this.counts = buckets.map(function() {
+    return 0;
+  });
+  this.sum = 0;
+  this.count = 0;
+};
+
+Histogram.prototype = {
+
+  observe: function(value) {
+    for (var i = 0; i < this.buckets.length; i += 1) {
+      if (value <= this.buckets[i]) this.counts[i] += 1;
+    }
+    this.sum += value;
+    this.count += 1;
+  }
+
+};
+
+// Constructor for an exporter of the given `pools`. Options:
+//
+// - `pools`: the pools to export, which may also be added later with `add`.
+// - `prefix`: the prefix of the metric names (default 'generic_pool').
+// - `buckets`: the upper bounds, in seconds, of the histogram buckets.
+//
+// Each series is labelled with the pool's `name`, so each pool needs a
+// name of its own.
+var Exporter = function(options) {
+  if (!(this instanceof Exporter)) return new Exporter(options);
+  options = options || {};
+  this.prefix  = options.prefix || 'generic_pool';
+  this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort(function(a, b) {
+    return a - b;
+  });
+  this.entries = [];
+  (options.pools || []).forEach(this.add, this);
+};
+
+Exporter.prototype = {
+
+  constructor: Exporter,
+
+  contentType: CONTENT_TYPE,
+
+  // Starts exporting a pool. Acquire waits and create latencies are
+  // observed from its events, so only those from now on are counted.
+  // Throws if the pool has no name, or the name of one already exported,
+  // as their series couldn't be told apart.
+  add: function(pool) {
+    if (!pool.name) throw new Error('Pools need a name to be exported');
+    if (this.entries.some(function(entry) {
+      return entry.pool.name === pool.name;
+    })) throw new Error('A pool named ' + pool.name + ' is already exported');
+    var entry = {
+      pool: pool,
+      acquireWait: new Histogram(this.buckets),
+      createDuration: new Histogram(this.buckets)
+    };
+    entry.onAcquire = function(obj, waitMillis) {
+      entry.acquireWait.observe(waitMillis / 1000);
+    };
+    entry.onCreate = function(obj, durationMillis) {
+      entry.createDuration.observe(durationMillis / 1000);
+    };
+    pool.on('acquire', entry.onAcquire);
+    pool.on('create', entry.onCreate);
+    this.entries.push(entry);
+    return this;
+  },
+
+  // Stops exporting a pool, unsubscribing from its events.
+  remove: function(pool) {
+    this.entries = this.entries.filter(function(entry) {
+      if (entry.pool !== pool) return true;
+      pool.removeListener('acquire', entry.onAcquire);
+      pool.removeListener('create', entry.onCreate);
+      return false;
+    });
+    return this;
+  },
+
+  // Returns the metrics of every pool as OpenMetrics text.
+  metrics: function() {
+    var exporter = this, lines = [];
+    var stats = this.entries.map(function(entry) {
+      return entry.pool.getStats();
+    });
+
+    var family = function(name, type, help, samples) {
+      lines.push('# TYPE ' + exporter.prefix + '_' + name + ' ' + type);
+      lines.push('# HELP ' + exporter.prefix + '_' + name + ' ' + help);
+      exporter.entries.forEach(function(entry, i) {
+        samples(entry, stats[i], formatLabels({pool: entry.pool.name || ''}));
+      });
+    };
+    var sample = function(name, labels, value) {
+      lines.push(exporter.prefix + '_' + name + '{' + labels + '} ' + formatValue(value));
+    };
+    var gauge = function(name, help, key) {
+      family(name, 'gauge', help, function(entry, stats, labels) {
+        sample(name, labels, stats[key]);
+      });
+    };
+    var counter = function(name, help, key) {
+      family(name, 'counter', help, function(entry, stats, labels) {
+        sample(name + '_total', labels, stats[key]);
+      });
+    };
+    var histogram = function(name, help, key) {
+      family(name, 'histogram', help, function(entry, stats, labels) {
+        var observed = entry[key];
+        observed.buckets.forEach(function(bound, i) {
+          sample(name + '_bucket', labels + ',le="' + formatValue(bound) + '"', observed.counts[i]);
+        });
+        sample(name + '_bucket', labels + ',le="+Inf"', observed.count);
+        sample(name + '_sum', labels, observed.sum);
+        sample(name + '_count', labels, observed.count);
+      });
+    };
+
+    gauge('size', 'Resources in the pool, including ones being created.', 'size');
+    gauge('max', 'The maximum number of resources in the pool.', 'max');
+    gauge('idle', 'Resources available in the pool.', 'idle');
+    gauge('borrowed', 'Resources acquired by clients.', 'borrowed');
+    family('waiting', 'gauge', 'Clients waiting for a resource, by priority.', function(entry, stats, labels) {
+      stats.pendingByPriority.forEach(function(waiting, priority) {
+        sample('waiting', labels + ',priority="' + priority + '"', waiting);
+      });
+    });
+    counter('creates', 'Resources created.', 'created');
+    counter('destroys', 'Resources destroyed.', 'destroyed');
+    counter('create_errors', 'Failed attempts to create a resource.', 'createErrors');
+    counter('validation_failures', 'Resources which failed validation.', 'validationFailures');
+    counter('acquire_timeouts', 'Acquires which timed out waiting for a resource.', 'acquireTimeouts');
+    histogram('acquire_wait_seconds', 'Time clients waited in acquire.', 'acquireWait');
+    histogram('create_duration_seconds', 'Time taken to create a resource.', 'createDuration');
+
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+
+};
+
+// Formats label pairs, escaping their values.
+var formatLabels = function(pairs) {
+  return Object.keys(pairs).map(function(name) {
+    var value = String(pairs[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return name + '="' + value + '"';
+  }).join(',');
+};
+
+// Formats a sample value, spelling out infinities as OpenMetrics does.
+var formatValue = function(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+module.exports = {
+
+  // Export the `Exporter` constructor.
+  Exporter: Exporter,
+
+  // Export the content type, for serving the metrics.
+  CONTENT_TYPE: CONTENT_TYPE
+
+};
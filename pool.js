@@ -7,12 +7,47 @@
 
 var EventEmitter = require('events').EventEmitter;
 
-// Initialize arrays to hold queue elements.
-var PriorityQueue = function(size) {
+// Copies the properties of `source` onto `target`.
+var extend = function(target, source) {
+  for (var key in source) {
+    if (source.hasOwnProperty(key)) target[key] = source[key];
+  }
+  return target;
+};
+
+// Creates a named error type, so pool errors can be told apart with `instanceof`.
+var createErrorType = function(name) {
+  var ErrorType = function(message) {
+    Error.call(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ErrorType);
+    this.message = message;
+  };
+  ErrorType.prototype = Object.create(Error.prototype);
+  ErrorType.prototype.constructor = ErrorType;
+  ErrorType.prototype.name = name;
+  return ErrorType;
+};
+
+// Passed to waiters which gave up before a resource became available.
+var TimeoutError = createErrorType('TimeoutError');
+
+// Passed to clients turned away because too many are already waiting.
+var QueueFullError = createErrorType('QueueFullError');
+
+// Passed to waiters whose `signal` was aborted before they got a resource.
+var AbortError = createErrorType('AbortError');
+
+// Initialize arrays to hold queue elements. If `agingMillis` is given,
+// objects move up a slot for every `agingMillis` they've been waiting, so
+// that those with a low priority are still dequeued under sustained load.
+var PriorityQueue = function(size, agingMillis) {
   this.slots = [];
+  this.times = [];
   this.queueSize = Math.max(+size | 0, 1);
+  this.agingMillis = agingMillis || 0;
   for (var i = 0; i < this.queueSize; i += 1) {
     this.slots.push([]);
+    this.times.push([]);
   }
 };
 
@@ -32,32 +67,127 @@ PriorityQueue.prototype = {
     return this.total;
   },
 
+  // The number of objects queued in each priority slot.
+  slotSizes: function() {
+    return this.slots.map(function(slot) {
+      return slot.length;
+    });
+  },
+
+  // The index of the slot for an optional priority. Priorities
+  // outside the range of slots go into the lowest priority slot.
+  slotFor: function(priority) {
+    priority = priority && +priority | 0 || 0;
+    if (priority < 0 || priority >= this.queueSize) priority = this.queueSize - 1;
+    return priority;
+  },
+
+  // Calls `fn` with each queued object, highest priority first.
+  forEach: function(fn, ctx) {
+    this.slots.forEach(function(slot) {
+      slot.forEach(fn, ctx);
+    });
+  },
+
   // Clears the cache for total and adds an
   // object to the queue, based on an optional priority.
-  enqueue: function(obj, priority) {
-    priority = priority && +priority | 0 || 0;
+  // If `front` is true, it's added ahead of the others in its slot.
+  // The time it was first queued may be given as `queuedAt`, for aging
+  // objects which are put back in the queue.
+  enqueue: function(obj, priority, front, queuedAt) {
+    priority = this.slotFor(priority);
+    queuedAt = queuedAt || new Date().getTime();
     this.total = null;
-    if (priority) {
-      var priorityOrig = priority;
-      if (priority < 0 || priority >= this.queueSize) {
-        priority = (this.size - 1);
-      }
+    if (front) {
+      this.slots[priority].unshift(obj);
+      this.times[priority].unshift(queuedAt);
+    } else {
+      this.slots[priority].push(obj);
+      this.times[priority].push(queuedAt);
     }
-    this.slots[priority].push(obj);
   },
 
   // Clears the cache for total and removes an object
   // from the queue.
   dequeue: function() {
-    var obj = null, i, sl = this.slots.length;
+    var i = this.nextSlot();
     this.total = null;
+    if (i === -1) return null;
+    this.times[i].shift();
+    return this.slots[i].shift();
+  },
+
+  // The slot to dequeue from next, or -1 if the queue is empty. Without
+  // aging, that's the highest priority slot with anything in it. With
+  // aging, it's the slot whose first object has the highest priority
+  // once it's moved up a slot for every `agingMillis` it has waited.
+  nextSlot: function() {
+    var i, sl = this.slots.length, now, effective, best = -1, bestPriority = Infinity;
     for (i = 0; i < sl; i += 1) {
-      if (this.slots[i].length) {
-        obj = this.slots[i].shift();
-        break;
+      if (!this.slots[i].length) continue;
+      if (!this.agingMillis) return i;
+      now = now || new Date().getTime();
+      effective = i - Math.floor((now - this.times[i][0]) / this.agingMillis);
+      if (effective < bestPriority) {
+        best = i;
+        bestPriority = effective;
       }
     }
-    return obj;
+    return best;
+  },
+
+  // Removes an object from whichever slot it's queued in,
+  // returning whether it was found.
+  remove: function(obj) {
+    var i, index, sl = this.slots.length;
+    for (i = 0; i < sl; i += 1) {
+      index = this.slots[i].indexOf(obj);
+      if (index !== -1) {
+        this.slots[i].splice(index, 1);
+        this.times[i].splice(index, 1);
+        this.total = null;
+        return true;
+      }
+    }
+    return false;
+  }
+
+};
+
+// Keeps the most recent `size` values of a measurement,
+// to summarize for the pool's statistics.
+var Samples = function(size) {
+  this.size = size || 1000;
+  this.values = [];
+};
+
+Samples.prototype = {
+
+  // Adds a value, dropping the oldest one when full.
+  add: function(value) {
+    if (this.values.length >= this.size) this.values.shift();
+    this.values.push(value);
+  },
+
+  // Returns the count, min, max, mean and percentiles of the values.
+  summary: function() {
+    var sorted = this.values.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var length = sorted.length, sum = 0;
+    for (var i = 0; i < length; i += 1) sum += sorted[i];
+    var percentile = function(p) {
+      return length ? sorted[Math.min(Math.ceil(p * length) - 1, length - 1)] : 0;
+    };
+    return {
+      count: length,
+      min: length ? sorted[0] : 0,
+      max: length ? sorted[length - 1] : 0,
+      mean: length ? sum / length : 0,
+      p50: percentile(0.5),
+      p90: percentile(0.9),
+      p99: percentile(0.99)
+    };
   }
 
 };
@@ -65,16 +195,73 @@ PriorityQueue.prototype = {
 // Constructor for a new pool.
 var Pool = function(options) {
   if (!(this instanceof Pool)) return new Pool(options);
+  EventEmitter.call(this);
   this.idleTimeoutMillis = options.idleTimeoutMillis  || 30000;
   this.reapInterval      = options.reapIntervalMillis || 1000;
+  this.acquireTimeoutMillis = options.acquireTimeoutMillis || 0;
   this.destroyHandler    = options.destroy || function() {};
+  this.destroyTimeoutMillis = options.destroyTimeoutMillis || 0;
+  this.createTimeoutMillis  = options.createTimeoutMillis || 0;
+  this.createRetries        = options.createRetries || 0;
+  this.createRetryIntervalMillis    = options.createRetryIntervalMillis || 100;
+  this.createRetryMaxIntervalMillis = options.createRetryMaxIntervalMillis || 30000;
+  this.maxWaitersFailedPerCreateError = ('maxWaitersFailedPerCreateError' in options) ?
+    options.maxWaitersFailedPerCreateError : 1;
   this.refreshIdle       = ('refreshIdle' in options) ? options.refreshIdle : true;
+  this.fifo              = ('fifo' in options) ? !!options.fifo : true;
+  this.testOnBorrow      = ('testOnBorrow' in options) ? options.testOnBorrow : true;
+  this.testOnReturn      = !!options.testOnReturn;
+  this.testWhileIdle     = !!options.testWhileIdle;
+  this.numTestsPerEvictionRun = options.numTestsPerEvictionRun || 3;
+  this.maxUses           = options.maxUses || 0;
+  this.maxLifetimeMillis = options.maxLifetimeMillis || 0;
+  this.maxLifetimeJitterMillis = ('maxLifetimeJitterMillis' in options) ?
+    options.maxLifetimeJitterMillis : Math.round(this.maxLifetimeMillis / 10);
+  this.leakDetectionThresholdMillis = options.leakDetectionThresholdMillis || 0;
+  this.leakDetectionStackTrace = !!options.leakDetectionStackTrace;
+  this.removeAbandoned   = !!options.removeAbandoned;
+  this.removeAbandonedTimeoutMillis = options.removeAbandonedTimeoutMillis || 300000;
+  this.lease             = !!options.lease;
+  this.name              = options.name || '';
+  this.autostart         = ('autostart' in options) ? !!options.autostart : true;
   this.availableObjects  = [];
-  this.waitingClients    = new PriorityQueue(options.priorityRange || 1);
+  this.borrowedObjects   = [];
+  this.abandonedObjects  = new WeakSet();
+  this.drainCallbacks    = [];
+  this.readyCallbacks    = [];
+  this.pendingRetries    = [];
+  this.waitingClients    = new PriorityQueue(options.priorityRange || 1, options.priorityAgingMillis);
+  this.maxWaitingClients = options.maxWaitingClients || 0;
+  this.maxWaitingClientsPerPriority = options.maxWaitingClientsPerPriority || [];
   this.create            = options.create || (function() {
     throw new Error('A create method must be defined for the connection pool.');
   })();
 
+  // Cumulative counters and samples, reported by `getStats`.
+  this.totals = {
+    created: 0,
+    destroyed: 0,
+    createErrors: 0,
+    validationFailures: 0,
+    idleEvictions: 0,
+    acquireTimeouts: 0,
+    acquiresRejected: 0,
+    acquiresAborted: 0,
+    recycled: 0,
+    leaks: 0,
+    abandoned: 0
+  };
+  this.acquireWaitSamples = new Samples();
+  this.borrowSamples      = new Samples();
+
+  // Log through the `log` function, or to the console from the `log`
+  // level up, where `true` logs every level.
+  if (typeof options.log === 'function') {
+    this.logHandler = options.log;
+  } else if (options.log) {
+    this.logHandler = consoleLog(Math.max(logLevels.indexOf(options.log), 0));
+  }
+
   // If a validate method is provided, use that instead of the default.
   if (options.validate) this.validate = options.validate;
 
@@ -84,21 +271,68 @@ var Pool = function(options) {
   this.max = Math.max(isNaN(max) ? 1 : max, 1);
   this.min = Math.min(isNaN(min) ? 0 : min, this.max);
 
-  // Ensure the minimum is created.
-  this.ensureMinimum();
+  // Ensure the minimum is created, unless the pool is to be started later.
+  if (this.autostart) this.start();
 };
 
-Pool.prototype = {
+// Pools are event emitters, emitting:
+//
+// - `create` (obj, durationMillis) when a resource is created.
+// - `createError` (err, durationMillis) when creating a resource fails.
+// - `acquire` (obj, waitMillis) when a resource is handed to a client.
+// - `release` (obj) when a resource is returned to the pool.
+// - `destroy` (obj) when a resource is destroyed.
+// - `destroyError` (err, obj) when the destroy handler fails or times out.
+// - `destroyed` once there are no more destroy handlers pending.
+// - `validateFail` (obj) when a resource fails validation.
+// - `idleEvict` (obj, idleMillis) when an idle resource is reaped.
+// - `leak` (obj, info) when a resource is borrowed for longer than the
+//   `leakDetectionThresholdMillis`, with the info from `getBorrowed`.
+// - `abandon` (obj, info) when a resource borrowed for longer than the
+//   `removeAbandonedTimeoutMillis` is destroyed.
+// - `drain` once a drain has completed.
+// - `close` once the pool has been closed.
+// - `error` (err) for errors there's no client to pass to, such as failing
+//   to create the `min` resources. Only emitted if there are listeners.
+Pool.prototype = extend(Object.create(EventEmitter.prototype), {
+
+  constructor: Pool,
 
   count: 0,
 
   draining: false,
 
+  closed: false,
+
+  started: false,
+
   removeIdleTimer: null,
 
   removeIdleScheduled: false,
 
-  // Default validate.
+  pendingDestroys: 0,
+
+  pendingCreates: 0,
+
+  reservingClient: null,
+
+  createFailures: 0,
+
+  createBackoffUntil: 0,
+
+  createBackoffTimer: null,
+
+  logHandler: null,
+
+  // Logs a message about the pool at the `level`, one of `logLevels`,
+  // prefixed with the pool's name.
+  log: function(message, level) {
+    if (!this.logHandler) return;
+    this.logHandler((this.name ? 'pool ' + this.name : 'pool') + ' - ' + message, level);
+  },
+
+  // Default validate. Validators may return a boolean or a promise
+  // for one, or take a second argument and call back with it.
   validate: function() {
     return true;
   },
@@ -107,91 +341,605 @@ Pool.prototype = {
   // when a new client will be availabe, passing the client to it.
   // Optionally, yoy may specify a priority of the caller if there are no
   // available resources.  Lower numbers mean higher priority.
+  // If no callback is given, a promise for the client is returned instead.
+  //
+  // In place of the priority, an object may be given with a `priority`
+  // and a `timeoutMillis`, overriding the pool's `acquireTimeoutMillis`.
+  // It may also have an AbortSignal as `signal`, taking the client out of
+  // the queue with an AbortError when aborted, and a `lease` boolean,
+  // overriding the pool's `lease` option.
   acquire: function(callback, priority) {
-    if (this.draining) return callback(new Error("Pool is draining and cannot accept work"));
-    this.waitingClients.enqueue({callback: callback, domain: process.domain}, priority);
-    this.dispense();
-    return (this.count < this.max);
+    return this.enqueueClient(null, callback, priority);
+  },
+
+  // Acquires `n` resources together, passing them to the callback as an
+  // array. The client waits in the queue as a single entry, and once it's
+  // at the front, holds on to resources until it has all of them, so that
+  // clients after several resources at once can't deadlock each other.
+  // Takes the same priority or options as `acquire`.
+  acquireMany: function(n, callback, priority) {
+    return this.enqueueClient(parseInt(n, 10) || 0, callback, priority);
+  },
+
+  // Does the work of `acquire` and `acquireMany`, queueing a client for
+  // `many` resources, or for a single one if `many` is null.
+  enqueueClient: function(many, callback, priority) {
+    var pool = this, options = {};
+    if (typeof callback !== 'function' && callback != null) {
+      priority = callback;
+      callback = null;
+    }
+    if (priority !== null && typeof priority === 'object') {
+      options = priority;
+      priority = options.priority;
+    }
+    var timeoutMillis = ('timeoutMillis' in options) ? options.timeoutMillis : this.acquireTimeoutMillis;
+    var signal = options.signal;
+    var lease = ('lease' in options) ? !!options.lease : this.lease;
+    return withCallback(callback, function(callback) {
+      if (pool.closed) return callback(new Error("Pool is closed and cannot accept work"));
+      if (pool.draining) return callback(new Error("Pool is draining and cannot accept work"));
+      pool.start();
+      if (many !== null && (many < 1 || many > pool.max)) {
+        return callback(new Error('acquireMany needs between 1 and ' + pool.max + ' resources'));
+      }
+      if (signal && signal.aborted) {
+        pool.totals.acquiresAborted += 1;
+        return callback(new AbortError('Acquire was aborted'));
+      }
+      if (pool.isQueueFull(priority)) {
+        pool.totals.acquiresRejected += 1;
+        return callback(new QueueFullError('Pool queue is full, too many clients are waiting'));
+      }
+      var timer = null, aborted = null;
+      var clientItem = {
+        callback: function(err, obj) {
+          clearTimeout(timer);
+          if (aborted) signal.removeEventListener('abort', aborted);
+          return callback(err, obj);
+        },
+        domain: process.domain,
+        priority: priority,
+        queuedAt: new Date().getTime(),
+        stack: pool.leakDetectionStackTrace ? new Error('Acquired at').stack : null,
+        many: many,
+        reserved: [],
+        lease: lease
+      };
+      if (timeoutMillis > 0) {
+        timer = setTimeout(function() {
+          pool.totals.acquireTimeouts += 1;
+          pool.cancelClient(clientItem, new TimeoutError('Timed out after ' + timeoutMillis + 'ms waiting to acquire a resource'));
+        }, timeoutMillis);
+      }
+      if (signal) {
+        aborted = function() {
+          pool.totals.acquiresAborted += 1;
+          pool.cancelClient(clientItem, new AbortError('Acquire was aborted'));
+        };
+        signal.addEventListener('abort', aborted);
+      }
+      pool.waitingClients.enqueue(clientItem, priority);
+      pool.dispense();
+      return (pool.count < pool.max);
+    });
+  },
+
+  // Whether a client with the given priority would exceed `maxWaitingClients`,
+  // or the limit for its slot in `maxWaitingClientsPerPriority`.
+  isQueueFull: function(priority) {
+    var slot = this.waitingClients.slotFor(priority);
+    var slotLimit = this.maxWaitingClientsPerPriority[slot];
+    if (this.maxWaitingClients > 0 && this.waitingClients.size() >= this.maxWaitingClients) return true;
+    return slotLimit > 0 && this.waitingClients.slots[slot].length >= slotLimit;
+  },
+
+  // Fails a waiting client which timed out or was aborted, taking it out of
+  // the queue so that it's never handed a resource. If a resource is being
+  // validated for the client, it's marked as cancelled, and the resource
+  // goes back to the pool once validated.
+  cancelClient: function(clientItem, err) {
+    this.waitingClients.remove(clientItem);
+    clientItem.cancelled = true;
+    clientItem.callback(err);
+    this.unreserve(clientItem);
+    this.checkDrained();
+  },
+
+  // Returns the resources held for a client waiting in `acquireMany`
+  // to the pool.
+  unreserve: function(clientItem) {
+    var reserved = clientItem.reserved;
+    clientItem.reserved = [];
+    if (this.reservingClient === clientItem) this.reservingClient = null;
+    reserved.forEach(function(resource) {
+      this.makeAvailable(resource);
+    }, this);
   },
 
   // Return the client to the pool, in case it is no longer required.
+  // Returns a promise if no callback is given.
   release: function(obj, callback) {
+    var pool = this;
+    return withCallback(callback, function(callback) {
+      pool.releaseObject(obj, callback);
+    });
+  },
+
+  // Returns several clients to the pool, such as those from `acquireMany`,
+  // calling back with the first error once all have been released.
+  // Returns a promise if no callback is given.
+  releaseMany: function(objs, callback) {
+    var pool = this;
+    return withCallback(callback, function(callback) {
+      var remaining = objs.length, error = null;
+      if (remaining === 0) return callback(null);
+      objs.forEach(function(obj) {
+        pool.releaseObject(obj, function(err) {
+          error = error || err;
+          remaining -= 1;
+          if (remaining === 0) callback(error);
+        });
+      });
+    });
+  },
+
+  // Does the work of `release`, with a required callback. Only objects
+  // which are currently borrowed from the pool may be released.
+  releaseObject: function(obj, callback) {
     // Check to see if this object has already been released (i.e., is back in the pool of availableObjects)
     if (this.availableObjects.some(function(objWithTimeout) {
       return (objWithTimeout.obj === obj);
     })) {
-      if (callback) callback(new Error('Release called multiple times on the same object'));
-      return;
+      return callback(new Error('Release called multiple times on the same object'));
     }
 
+    var err = this.checkBorrowed(obj, 'Release');
+    if (err) return callback(err);
+
     if (obj instanceof EventEmitter && obj.domain) {
         obj.domain.remove(obj);
     }
 
-    var objWithTimeout = {
+    var resource = this.removeBorrowed(obj);
+    resource.returnedAt = new Date().getTime();
+    this.borrowSamples.add(resource.returnedAt - resource.borrowedAt);
+
+    this.emit('release', obj);
+    if (this.isExpired(resource)) {
+      this.recycle(resource);
+      this.dispense();
+      return callback(null);
+    }
+    if (!this.testOnReturn) {
+      this.makeAvailable(resource);
+      return callback(null);
+    }
+    var pool = this;
+    this.validateObject(resource, function(valid) {
+      if (valid) {
+        pool.makeAvailable(resource);
+      } else {
+        pool.destroyObject(obj, noop);
+        pool.dispense();
+      }
+      callback(null);
+    });
+  },
+
+  // Starts tracking a newly created object. The returned entry holds the
+  // object along with its metadata, and moves between `availableObjects`
+  // and `borrowedObjects` for as long as the object is in the pool.
+  trackResource: function(obj) {
+    var now = new Date().getTime();
+    var resource = {
       obj: obj,
-      timeout: (new Date().getTime() + this.idleTimeoutMillis)
+      createdAt: now,
+      uses: 0,
+      timeout: null,
+      retireAt: null,
+      borrowedAt: null,
+      returnedAt: null,
+      testedAt: null,
+      valid: null
     };
-    this.availableObjects.push(objWithTimeout);
+    // Stagger the lifetimes, so the resources aren't all recycled at once.
+    if (this.maxLifetimeMillis > 0) {
+      resource.retireAt = now + this.maxLifetimeMillis - Math.round(Math.random() * this.maxLifetimeJitterMillis);
+    }
+    return resource;
+  },
+
+  // Whether a resource has reached its `maxUses` or `maxLifetimeMillis`.
+  isExpired: function(resource) {
+    if (this.maxUses > 0 && resource.uses >= this.maxUses) return true;
+    return resource.retireAt !== null && new Date().getTime() >= resource.retireAt;
+  },
+
+  // Destroys an expired resource, which `ensureMinimum` replaces if needed.
+  recycle: function(resource) {
+    this.totals.recycled += 1;
+    this.destroyObject(resource.obj, noop);
+  },
+
+  // Adds a resource to the available (idle) objects, handing it
+  // to the next waiting client if there is one.
+  makeAvailable: function(resource) {
+    if (this.count > this.max) {
+      // The pool has been shrunk below its current size, so retire this one.
+      this.destroyObject(resource.obj, noop);
+      return this.dispense();
+    }
+    resource.timeout = new Date().getTime() + this.idleTimeoutMillis;
+    this.availableObjects.push(resource);
     this.dispense();
     this.scheduleRemoveIdle();
-    if (callback) callback(null);
+    this.checkDrained();
   },
 
   // Try to get a new client to work, and clean up pool unused (idle) items.
   //
-  // - If there are available clients waiting, shift the first one out (LIFO),
-  //   and call its callback.
+  // - If there are available clients waiting, take the least recently
+  //   released one out (FIFO), or the most recently released one when `fifo`
+  //   is false (LIFO), and hand it to the next waiting client, validating it first when
+  //   `testOnBorrow` is set. Expired ones are recycled instead.
   // - If there are no waiting clients, try to create one if it won't exceed
   //   the maximum number of clients.
-  // - If creating a new client would exceed the maximum, add the client to
-  //   the wait list.
+  // - If creating a new client would exceed the maximum, or creates are
+  //   backing off after failing, add the client to the wait list.
   dispense: function() {
-    var obj = null,
-      objWithTimeout = null,
-      err = null,
-      clientItem = null,
-      clientCb = null,
-      waitingCount = this.waitingClients.size();
-
-    if (waitingCount > 0) {
-      while (this.availableObjects.length > 0) {
-        objWithTimeout = this.availableObjects[0];
-        if (!this.validate(objWithTimeout.obj)) {
-          this.destroy(objWithTimeout.obj);
-          continue;
-        }
-        this.availableObjects.shift();
+    var resource = null,
+      clientItem = null;
 
-        clientItem = this.waitingClients.dequeue();
-        clientCb = clientItem.callback;
+    this.log('dispense() clients=' + this.waitingClients.size() + ' available=' + this.availableObjects.length, 'verbose');
 
-        if (objWithTimeout.obj instanceof EventEmitter && clientItem.domain) {
-            clientItem.domain.add(objWithTimeout.obj);
-        }
+    while (this.waitingClients.size() > 0 && (resource = this.takeAvailable())) {
+      if (this.isExpired(resource)) {
+        this.recycle(resource);
+        continue;
+      }
+      clientItem = this.waitingClients.dequeue();
+      if (this.testOnBorrow) {
+        this.lendValidated(clientItem, resource);
+      } else {
+        this.lend(clientItem, resource);
+      }
+    }
+    while (new Date().getTime() >= this.createBackoffUntil && this.resourcesWanted() > this.pendingCreates && this.canCreate()) {
+      this.createResource();
+    }
+  },
+
+  // The number of resources the waiting clients still need.
+  resourcesWanted: function() {
+    var wanted = 0;
+    this.waitingClients.forEach(function(clientItem) {
+      wanted += clientItem.many ? clientItem.many - clientItem.reserved.length : 1;
+    });
+    return wanted;
+  },
 
-        return clientCb(err, objWithTimeout.obj);
+  // Takes the next available object out of the pool, skipping any which
+  // are being tested while idle. LIFO keeps handing out the most recently
+  // used objects, letting the others time out, while FIFO cycles through them.
+  takeAvailable: function() {
+    var i, l = this.availableObjects.length;
+    if (this.fifo) {
+      for (i = 0; i < l; i += 1) {
+        if (!this.availableObjects[i].testing) return this.availableObjects.splice(i, 1)[0];
       }
-      if (this.count < this.max) {
-        this.createResource();
+    } else {
+      for (i = l - 1; i >= 0; i -= 1) {
+        if (!this.availableObjects[i].testing) return this.availableObjects.splice(i, 1)[0];
+      }
+    }
+    return null;
+  },
+
+  // Runs the validator against a resource's object, passing whether it's
+  // valid to the callback, and noting the result on the resource. Errors
+  // from the validator, including thrown ones, count as a failed validation.
+  validateObject: function(resource, callback) {
+    var pool = this, obj = resource.obj;
+    callAsync(this.validate, this, [obj], function(err, valid) {
+      resource.testedAt = new Date().getTime();
+      resource.valid = !err && !!valid;
+      if (!resource.valid) {
+        pool.totals.validationFailures += 1;
+        pool.log('resource failed validation' + (err ? ': ' + err.message : ''), 'warn');
+        pool.emit('validateFail', obj);
+        return callback(false);
+      }
+      callback(true);
+    });
+  },
+
+  // Validates an object before handing it to the client. Invalid objects are
+  // destroyed, and the client goes back to the front of its slot in the queue
+  // to wait on the next available or newly created object.
+  lendValidated: function(clientItem, resource) {
+    var pool = this;
+    this.validateObject(resource, function(valid) {
+      if (!valid) {
+        if (!clientItem.cancelled) pool.waitingClients.enqueue(clientItem, clientItem.priority, true, clientItem.queuedAt);
+        pool.destroyObject(resource.obj, noop);
+        return pool.dispense();
+      }
+      if (clientItem.cancelled) return pool.makeAvailable(resource);
+      pool.lend(clientItem, resource);
+    });
+  },
+
+  // Hands a resource to a waiting client. A client waiting on `acquireMany`
+  // keeps its place at the front of the queue, holding on to the resource,
+  // until it has all it asked for. Only one client holds resources at a
+  // time, so if a higher priority one has come along, the resources held
+  // by the other are handed back.
+  lend: function(clientItem, resource) {
+    var pool = this, resources;
+    if (!clientItem.many) return clientItem.callback(null, this.borrow(clientItem, resource));
+
+    clientItem.reserved.push(resource);
+    if (clientItem.reserved.length < clientItem.many) {
+      this.waitingClients.enqueue(clientItem, clientItem.priority, true, clientItem.queuedAt);
+      if (this.reservingClient && this.reservingClient !== clientItem) this.unreserve(this.reservingClient);
+      this.reservingClient = clientItem;
+      return;
+    }
+    resources = clientItem.reserved;
+    clientItem.reserved = [];
+    if (this.reservingClient === clientItem) this.reservingClient = null;
+    return clientItem.callback(null, resources.map(function(resource) {
+      return pool.borrow(clientItem, resource);
+    }));
+  },
+
+  // Marks a resource as borrowed by a client, binding it to the client's
+  // domain, and returns the object, or a `Lease` on it in lease mode.
+  borrow: function(clientItem, resource) {
+    var now = new Date().getTime(), obj = resource.obj;
+    if (obj instanceof EventEmitter && clientItem.domain) {
+      clientItem.domain.add(obj);
+    }
+    resource.uses += 1;
+    resource.borrowedAt = now;
+    resource.stack = clientItem.stack;
+    this.borrowedObjects.push(resource);
+    this.watchBorrowed(resource);
+    this.acquireWaitSamples.add(now - clientItem.queuedAt);
+    this.emit('acquire', obj, now - clientItem.queuedAt);
+    return clientItem.lease ? new Lease(this, resource) : obj;
+  },
+
+  // Returns an error if the object isn't currently borrowed from the pool,
+  // for the `action` the client tried to take on it.
+  checkBorrowed: function(obj, action) {
+    if (isObject(obj) && this.abandonedObjects.has(obj)) {
+      this.abandonedObjects.delete(obj);
+      return new Error('Resource was abandoned and has been destroyed by the pool');
+    }
+    var borrowed = this.borrowedObjects.some(function(resource) {
+      return resource.obj === obj;
+    });
+    if (!borrowed) return new Error(action + ' called on an object which is not currently acquired from this pool');
+    return null;
+  },
+
+  // Stops tracking a borrowed object, returning its entry if it was borrowed.
+  removeBorrowed: function(obj) {
+    var resource;
+    for (var i = 0, l = this.borrowedObjects.length; i < l; i += 1) {
+      if (this.borrowedObjects[i].obj === obj) {
+        resource = this.borrowedObjects.splice(i, 1)[0];
+        clearTimeout(resource.leakTimer);
+        clearTimeout(resource.abandonTimer);
+        return resource;
       }
     }
+    return null;
+  },
+
+  // Starts the timers reporting a borrowed resource as leaked, or destroying
+  // it as abandoned. They don't keep the process running.
+  watchBorrowed: function(resource) {
+    var pool = this;
+    if (this.leakDetectionThresholdMillis > 0) {
+      resource.leakTimer = unref(setTimeout(function() {
+        pool.reportLeak(resource);
+      }, this.leakDetectionThresholdMillis));
+    }
+    if (this.removeAbandoned) {
+      resource.abandonTimer = unref(setTimeout(function() {
+        pool.abandon(resource);
+      }, this.removeAbandonedTimeoutMillis));
+    }
+  },
+
+  // Emits a `leak` for a resource borrowed for too long,
+  // warning on the console if nothing is listening.
+  reportLeak: function(resource) {
+    var info = this.borrowInfo(resource);
+    var message = 'resource borrowed for ' + info.borrowedMillis + 'ms without being released' +
+      (info.stack ? '\n' + info.stack : '');
+    this.totals.leaks += 1;
+    if (this.listeners('leak').length > 0) return this.emit('leak', resource.obj, info);
+    if (this.logHandler) return this.log(message, 'warn');
+    console.warn('Pool ' + message);
+  },
+
+  // Destroys a resource which has been borrowed for too long, so that it
+  // can be replaced. Releasing it later is an error.
+  abandon: function(resource) {
+    var info = this.borrowInfo(resource);
+    this.totals.abandoned += 1;
+    // Remembered weakly, as the client may never try to release it.
+    if (isObject(resource.obj)) this.abandonedObjects.add(resource.obj);
+    this.emit('abandon', resource.obj, info);
+    this.destroyObject(resource.obj, noop);
+    this.dispense();
+  },
+
+  // Describes a borrowed resource.
+  borrowInfo: function(resource) {
+    return {
+      obj: resource.obj,
+      borrowedAt: resource.borrowedAt,
+      borrowedMillis: new Date().getTime() - resource.borrowedAt,
+      stack: resource.stack || null
+    };
+  },
+
+  // The metadata kept for a resource, as returned by `getResourceInfo`.
+  resourceInfo: function(resource) {
+    return {
+      createdAt: resource.createdAt,
+      lastBorrowedAt: resource.borrowedAt,
+      lastReturnedAt: resource.returnedAt,
+      useCount: resource.uses,
+      lastValidatedAt: resource.testedAt,
+      lastValidationResult: resource.valid,
+      borrowed: this.borrowedObjects.indexOf(resource) !== -1
+    };
+  },
+
+  // Returns the metadata kept for an object in the pool: when it was
+  // created, last borrowed and last returned, how many times it has been
+  // acquired, and when and with what result it was last validated.
+  // Returns null if the object isn't in the pool.
+  getResourceInfo: function(obj) {
+    var i, resources = this.availableObjects.concat(this.borrowedObjects);
+    for (i = 0; i < resources.length; i++) {
+      if (resources[i].obj === obj) return this.resourceInfo(resources[i]);
+    }
+    return null;
+  },
+
+  // Lists the borrowed resources, with when and for how long they've been
+  // borrowed, and the stack of the acquire() if `leakDetectionStackTrace` is set.
+  getBorrowed: function() {
+    return this.borrowedObjects.map(this.borrowInfo, this);
+  },
+
+  // Returns a snapshot of the pool's current state, along with
+  // cumulative counters and a summary of acquire waits and borrow durations.
+  getStats: function() {
+    return extend({
+      size: this.count,
+      min: this.min,
+      max: this.max,
+      idle: this.availableObjects.length,
+      borrowed: this.borrowedObjects.length,
+      pending: this.waitingClients.size(),
+      pendingByPriority: this.waitingClients.slotSizes(),
+      acquireWaitMillis: this.acquireWaitSamples.summary(),
+      borrowMillis: this.borrowSamples.summary()
+    }, this.totals);
   },
 
   // Disallow any new requests and let the request backlog dissapate,
   // Setting the `draining` flag so as to let any additional work on the queue
-  // dissapate.
-  drain: function(callback) {
-    this.draining = true;
+  // dissapate. Calls back as soon as every resource is back in the pool,
+  // or returns a promise if no callback is given.
+  //
+  // An object with a `timeoutMillis` may be given, after which the resources
+  // still borrowed are destroyed, waiting clients are failed, and the callback
+  // gets a TimeoutError listing the borrowed resources as `borrowed`.
+  drain: function(callback, options) {
     var pool = this;
-    var checking = function() {
-      if (pool.waitingClients.size() > 0 || pool.availableObjects.length != pool.count) {
-        setTimeout(checking, 100);
-      } else {
-        if (callback) callback();
+    if (typeof callback !== 'function' && callback != null) {
+      options = callback;
+      callback = null;
+    }
+    var timeoutMillis = options && options.timeoutMillis || 0;
+    this.draining = true;
+    this.log('draining, waiting on ' + this.borrowedObjects.length + ' borrowed resources and ' +
+      this.waitingClients.size() + ' waiting clients', 'info');
+    return withCallback(callback, function(callback) {
+      var timer = null;
+      var drained = function() {
+        clearTimeout(timer);
+        callback(null);
+      };
+      if (timeoutMillis > 0) {
+        timer = setTimeout(function() {
+          var index = pool.drainCallbacks.indexOf(drained);
+          if (index === -1) return;
+          pool.drainCallbacks.splice(index, 1);
+          var err = pool.forceDrain(timeoutMillis);
+          pool.whenDestroyed(function() {
+            callback(err);
+          });
+        }, timeoutMillis);
       }
-    };
-    checking();
+      pool.drainCallbacks.push(drained);
+      pool.checkDrained();
+    });
+  },
+
+  // Shuts the pool down for good. New acquires are refused, the pool drains,
+  // and every resource is destroyed, with the timers cleared so the process
+  // can exit. Takes the same options as `drain`, passing on its error.
+  // Returns a promise if no callback is given.
+  close: function(callback, options) {
+    var pool = this;
+    if (typeof callback !== 'function' && callback != null) {
+      options = callback;
+      callback = null;
+    }
+    return withCallback(callback, function(callback) {
+      if (pool.closed) return callback(new Error('Pool is already closed'));
+      pool.closed = true;
+      pool.cancelCreateRetries();
+      pool.drain(function(err) {
+        clearTimeout(pool.createBackoffTimer);
+        pool.destroyAllNow(function() {
+          pool.log('closed', 'info');
+          pool.emit('close');
+          callback(err);
+        });
+      }, options);
+    });
+  },
+
+  // Alias for `close`.
+  end: function(callback, options) {
+    return this.close(callback, options);
+  },
+
+  // Calls back any drains once there are no waiting clients, and all
+  // resources are back in the pool, with none still being destroyed.
+  checkDrained: function() {
+    if (!this.draining || this.drainCallbacks.length === 0) return;
+    if (this.waitingClients.size() > 0 || this.availableObjects.length != this.count || this.pendingDestroys > 0) return;
+    var callbacks = this.drainCallbacks;
+    this.drainCallbacks = [];
+    this.log('drained', 'info');
+    this.emit('drain');
+    callbacks.forEach(function(drained) {
+      drained();
+    });
+  },
+
+  // Ends a drain which has taken longer than `timeoutMillis`, failing the
+  // waiting clients and destroying the resources which are still borrowed.
+  // Returns the TimeoutError to report, listing those resources.
+  forceDrain: function(timeoutMillis) {
+    var message = 'Timed out after ' + timeoutMillis + 'ms waiting for the pool to drain';
+    var err = new TimeoutError(message), clientItem, waiting = [];
+    err.borrowed = this.getBorrowed();
+    this.log('drain timed out after ' + timeoutMillis + 'ms, destroying ' + err.borrowed.length +
+      ' borrowed resources and failing ' + this.waitingClients.size() + ' waiting clients', 'warn');
+    while ((clientItem = this.waitingClients.dequeue())) {
+      waiting.push(clientItem);
+    }
+    waiting.forEach(function(clientItem) {
+      clientItem.callback(new TimeoutError(message), null);
+      this.unreserve(clientItem);
+    }, this);
+    err.borrowed.forEach(function(info) {
+      this.destroyObject(info.obj, noop);
+    }, this);
+    return err;
   },
 
   // Forcibly destroys all clients regardless of timeout. Intended to be
@@ -202,22 +950,35 @@ Pool.prototype = {
   // in the pool, but replace them with newly created resources up to the
   // specified this.min value.  If this is not desired, set this.min
   // to zero before calling destroyAllNow()
+  //
+  // Calls back (or resolves the returned promise) once the destroy
+  // handler has completed for every resource being destroyed.
   destroyAllNow: function(callback) {
+    var pool = this;
+    return withCallback(callback, function(callback) {
+      pool.destroyAllObjects();
+      pool.whenDestroyed(callback);
+    });
+  },
+
+  // Does the work of `destroyAllNow`.
+  destroyAllObjects: function() {
     var willDie = this.availableObjects;
     this.availableObjects = [];
     var obj = willDie.shift();
     while (obj !== null && obj !== undefined) {
-      this.destroy(obj.obj);
+      this.destroyObject(obj.obj, noop);
       obj = willDie.shift();
     }
     this.removeIdleScheduled = false;
     clearTimeout(this.removeIdleTimer);
-    if (callback) callback();
   },
 
   // Decorates a function to use a acquired client from the object pool when called.
   pooled: function(decorated, priority) {
     var pool = this;
+    var options = (priority !== null && typeof priority === 'object') ? priority : {priority: priority};
+    options = extend(extend({}, options), {lease: false});
     return function() {
       var callerArgs = arguments;
       var callerCallback = callerArgs[callerArgs.length - 1];
@@ -229,48 +990,107 @@ Pool.prototype = {
         }
         var args = [client].concat(slice.call(callerArgs, 0, callerHasCallback ? -1 : undefined));
         args.push(function() {
-          pool.release.call(pool, client);
+          pool.releaseObject(client, noop);
           if (callerHasCallback) callerCallback.apply(null, arguments);
         });
         decorated.apply(null, args);
-      }, priority);
+      }, options);
     };
   },
 
   // Request the client to be destroyed. The factory's destroy handler
   // will also be called. This should be called within an acquire()
   // block as an alternative to release().
-  destroy: function(obj) {
+  //
+  // Calls back (or resolves the returned promise) once the destroy handler
+  // has completed, with any error from it. Only objects which are currently
+  // borrowed from the pool may be destroyed.
+  destroy: function(obj, callback) {
+    var pool = this;
+    return withCallback(callback, function(callback) {
+      var err = pool.checkBorrowed(obj, 'Destroy');
+      if (err) return callback(err);
+      pool.destroyObject(obj, callback);
+    });
+  },
+
+  // Does the work of `destroy`, for objects tracked by the pool, with a
+  // required callback. The destroy handler
+  // may call back or return a promise, and is given `destroyTimeoutMillis`
+  // to do so. Failures are also emitted as `destroyError`.
+  destroyObject: function(obj, callback) {
+    var pool = this, timer = null, finished = false;
     this.count -= 1;
     this.availableObjects = this.availableObjects.filter(function(objWithTimeout) {
       return (objWithTimeout.obj !== obj);
     });
-    this.destroyHandler(obj);
+    this.removeBorrowed(obj);
+    this.totals.destroyed += 1;
+    this.pendingDestroys += 1;
+
+    var finish = function(err) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      pool.pendingDestroys -= 1;
+      if (err) pool.emit('destroyError', err, obj);
+      callback(err);
+      if (pool.pendingDestroys === 0) {
+        pool.emit('destroyed');
+        pool.checkDrained();
+      }
+    };
+    if (this.destroyTimeoutMillis > 0) {
+      timer = setTimeout(function() {
+        finish(new TimeoutError('Timed out after ' + pool.destroyTimeoutMillis + 'ms waiting to destroy a resource'));
+      }, this.destroyTimeoutMillis);
+    }
+    callAsync(this.destroyHandler, this, [obj], finish);
+    this.emit('destroy', obj);
     this.ensureMinimum();
   },
 
-  // Checks and removes the available (idle) clients that have timed out.
+  // Calls back once there are no pending destroys.
+  whenDestroyed: function(callback) {
+    if (this.pendingDestroys === 0) return callback(null);
+    this.once('destroyed', function() {
+      callback(null);
+    });
+  },
+
+  // Checks and removes the available (idle) clients that have timed out,
+  // or have reached their `maxLifetimeMillis`.
   removeIdle: function() {
     var toRemove = [],
       now = new Date().getTime(),
-      i, availableLength, tr, timeout;
+      i, availableLength, tr, timeout, obj;
 
     this.removeIdleScheduled = false;
 
+    this.availableObjects.filter(function(resource) {
+      return !resource.testing && this.isExpired(resource);
+    }, this).forEach(this.recycle, this);
+
     // Go through the available (idle) items,
     // check if they have timed out
     for (i = 0, availableLength = this.availableObjects.length; i < availableLength && (this.refreshIdle || (this.count - this.min > toRemove.length)); i += 1) {
       timeout = this.availableObjects[i].timeout;
-      if (now >= timeout) {
+      if (now >= timeout && !this.availableObjects[i].testing) {
         // Client timed out, so destroy it.
-        toRemove.push(this.availableObjects[i].obj);
+        toRemove.push(this.availableObjects[i]);
       }
     }
 
     for (i = 0, tr = toRemove.length; i < tr; i += 1) {
-      this.destroy(toRemove[i]);
+      obj = toRemove[i];
+      this.totals.idleEvictions += 1;
+      this.log('removing idle resource, ' + (this.count - 1) + ' left', 'verbose');
+      this.emit('idleEvict', obj.obj, now - obj.timeout + this.idleTimeoutMillis);
+      this.destroyObject(obj.obj, noop);
     }
 
+    if (this.testWhileIdle) this.testIdle();
+
     // Replace the available items with the ones to keep.
     availableLength = this.availableObjects.length;
 
@@ -279,64 +1099,772 @@ Pool.prototype = {
     }
   },
 
+  // Validates up to `numTestsPerEvictionRun` of the idle items, least recently
+  // tested first. They stay in the pool, but aren't handed out while being
+  // tested, and the ones failing validation are destroyed and replaced.
+  testIdle: function() {
+    var pool = this;
+    var toTest = this.availableObjects.filter(function(objWithTimeout) {
+      return !objWithTimeout.testing;
+    }).sort(function(a, b) {
+      return (a.testedAt || 0) - (b.testedAt || 0);
+    }).slice(0, this.numTestsPerEvictionRun);
+
+    toTest.forEach(function(objWithTimeout) {
+      objWithTimeout.testing = true;
+      pool.validateObject(objWithTimeout, function(valid) {
+        objWithTimeout.testing = false;
+        // It may have been destroyed in the meantime.
+        if (pool.availableObjects.indexOf(objWithTimeout) === -1) return;
+        if (valid) return pool.dispense();
+        pool.destroyObject(objWithTimeout.obj, noop);
+        pool.dispense();
+      });
+    });
+  },
+
   // Schedule removal of idle items in the pool.
-  // More schedules cannot run concurrently.
+  // More schedules cannot run concurrently, and they
+  // don't keep the process running.
   scheduleRemoveIdle: function() {
-    if (!this.removeIdleScheduled) {
+    if (!this.removeIdleScheduled && !this.closed) {
       this.removeIdleScheduled = true;
       var pool = this;
-      this.removeIdleTimer = setTimeout(function() {
+      this.removeIdleTimer = unref(setTimeout(function() {
         pool.removeIdle.call(pool);
-      }, this.reapInterval);
+      }, this.reapInterval));
     }
   },
 
-  // Creates a new resource, adding an object to the pool
+  // Creates a new resource, adding an object to the pool. Failed creates
+  // are retried up to `createRetries` times, backing off between attempts.
   createResource: function() {
-    var pool = this;
+    var pool = this, attempts = 0, startedAt;
     this.count += 1;
-    this.create(function(err, obj) {
-      var clientItem = pool.waitingClients.dequeue() || {};
-      var clientCb = clientItem.callback;
+    this.pendingCreates += 1;
+    var attempt = function() {
+      attempts += 1;
+      startedAt = new Date().getTime();
+      pool.callCreate(function(err, obj) {
+        var duration = new Date().getTime() - startedAt, retry;
+        if (err && attempts <= pool.createRetries && !pool.closed) {
+          pool.log('create failed, retrying: ' + err.message, 'warn');
+          retry = {err: err, duration: duration};
+          retry.timer = setTimeout(function() {
+            pool.pendingRetries.splice(pool.pendingRetries.indexOf(retry), 1);
+            attempt();
+          }, pool.backoffMillis(attempts));
+          pool.pendingRetries.push(retry);
+          return;
+        }
+        pool.pendingCreates -= 1;
+        if (err) return pool.createFailed(err, duration);
 
-      if (obj instanceof EventEmitter && clientItem.domain) {
-        clientItem.domain.add(obj);
-      }
+        pool.createFailures = 0;
+        pool.totals.created += 1;
+        pool.log('created a resource in ' + duration + 'ms, count=' + pool.count, 'verbose');
+        pool.emit('create', obj, duration);
+        var resource = pool.trackResource(obj);
+        var clientItem = pool.waitingClients.dequeue();
+        if (clientItem) {
+          pool.lend(clientItem, resource);
+        } else if (pool.closed) {
+          // Nobody is left to use it, and the pool won't destroy it later.
+          pool.destroyObject(obj, noop);
+        } else {
+          pool.makeAvailable(resource);
+        }
+        pool.checkReady();
+      });
+    };
+    attempt();
+  },
 
-      if (err) {
-        pool.count -= 1;
-        if (clientCb) clientCb(err, null);
-        setTimeout(function() {
-          pool.dispense.call(pool);
-        }, 0);
-      } else {
-        if (clientCb) return clientCb(null, obj);
-        pool.release(obj);
+  // Cancels the creates which are waiting to retry, failing each of them
+  // with the error from its last attempt.
+  cancelCreateRetries: function() {
+    var retries = this.pendingRetries;
+    this.pendingRetries = [];
+    retries.forEach(function(retry) {
+      clearTimeout(retry.timer);
+      this.pendingCreates -= 1;
+      this.createFailed(retry.err, retry.duration);
+    }, this);
+  },
+
+  // Calls the `create` method, which may either call back or return a promise
+  // for the resource. If it takes longer than `createTimeoutMillis`, the
+  // callback gets a TimeoutError, and the resource is destroyed once created.
+  callCreate: function(callback) {
+    var pool = this, timer = null, timedOut = false;
+    if (this.createTimeoutMillis > 0) {
+      timer = setTimeout(function() {
+        timedOut = true;
+        callback(new TimeoutError('Timed out after ' + pool.createTimeoutMillis + 'ms waiting to create a resource'));
+      }, this.createTimeoutMillis);
+    }
+    callAsync(this.create, this, [], function(err, obj) {
+      if (timedOut) {
+        if (!err) callAsync(pool.destroyHandler, pool, [obj], noop);
+        return;
       }
+      clearTimeout(timer);
+      callback(err, obj);
+    });
+  },
+
+  // Frees the slot of a resource which couldn't be created, passing the error
+  // to up to `maxWaitersFailedPerCreateError` waiting clients. Further creates
+  // back off exponentially while the failures continue.
+  createFailed: function(err, duration) {
+    var pool = this, failed = 0, clientItem, delay;
+    this.count -= 1;
+    this.totals.createErrors += 1;
+    this.createFailures += 1;
+    this.log('create failed: ' + (err && err.message), 'error');
+    this.emit('createError', err, duration);
+    this.checkReady(err);
+
+    while (failed < this.maxWaitersFailedPerCreateError && (clientItem = this.waitingClients.dequeue())) {
+      failed += 1;
+      clientItem.callback(err, null);
+      this.unreserve(clientItem);
+    }
+    if (!failed && this.listeners('error').length > 0) {
+      this.emit('error', err);
+    }
+
+    this.checkDrained();
+    if (this.closed) return;
+    delay = this.backoffMillis(this.createFailures);
+    this.createBackoffUntil = new Date().getTime() + delay;
+    clearTimeout(this.createBackoffTimer);
+    this.createBackoffTimer = setTimeout(function() {
+      pool.createBackoffUntil = 0;
+      pool.dispense.call(pool);
+      pool.ensureMinimum();
+    }, delay);
+  },
+
+  // The delay before the next create after `failures` consecutive failures,
+  // doubling each time up to `createRetryMaxIntervalMillis`. Half of the delay
+  // is random, so that pools don't retry in lockstep.
+  backoffMillis: function(failures) {
+    var delay = Math.min(this.createRetryIntervalMillis * Math.pow(2, failures - 1), this.createRetryMaxIntervalMillis);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  },
+
+  // Changes the `min` and `max` of a running pool. Growing lends to any
+  // waiting clients and creates resources straight away. Shrinking retires
+  // idle resources first, then borrowed ones as they are returned, so the
+  // pool never goes above the new `max` or below the new `min`. Clients
+  // waiting in `acquireMany` for more than the new `max` are failed.
+  resize: function(options) {
+    var max = parseInt(options.max, 10);
+    var min = parseInt(options.min, 10);
+    var i, resource, tooMany = [];
+    this.max = Math.max(isNaN(max) ? this.max : max, 1);
+    this.min = Math.min(isNaN(min) ? this.min : min, this.max);
+
+    this.waitingClients.forEach(function(clientItem) {
+      if (clientItem.many > this.max) tooMany.push(clientItem);
+    }, this);
+    tooMany.forEach(function(clientItem) {
+      this.waitingClients.remove(clientItem);
+      clientItem.cancelled = true;
+      clientItem.callback(new Error('acquireMany needs between 1 and ' + this.max + ' resources'));
+      this.unreserve(clientItem);
+    }, this);
+
+    for (i = 0; i < this.availableObjects.length && this.count > this.max; i++) {
+      resource = this.availableObjects[i];
+      if (resource.testing) continue;
+      this.destroyObject(resource.obj, noop);
+      i -= 1;
+    }
+    this.dispense();
+    this.ensureMinimum();
+  },
+
+  // Starts creating the `min` resources, for pools created with `autostart`
+  // set to false. Pools also start on their first acquire.
+  start: function() {
+    if (this.started) return;
+    this.started = true;
+    this.ensureMinimum();
+    this.checkReady();
+  },
+
+  // Calls back once the pool has started and has its `min` resources, or
+  // with the error if creating one of them fails, after any retries.
+  // Returns a promise if no callback is given.
+  ready: function(callback) {
+    var pool = this;
+    return withCallback(callback, function(callback) {
+      if (pool.closed) return callback(new Error("Pool is closed and cannot accept work"));
+      pool.readyCallbacks.push(callback);
+      pool.ensureMinimum();
+      pool.checkReady();
+    });
+  },
+
+  // Calls back any `ready` callbacks, with the `err` if one is given,
+  // or otherwise once the pool has its `min` resources.
+  checkReady: function(err) {
+    if (this.readyCallbacks.length === 0) return;
+    if (!err && (!this.started || this.count - this.pendingCreates < this.min)) return;
+    var callbacks = this.readyCallbacks;
+    this.readyCallbacks = [];
+    callbacks.forEach(function(ready) {
+      ready(err || null);
     });
   },
 
   // If the client isn't in the process of draining, this ensures
   // that the minimum number of resources are always around.
+  // While creates are backing off, the backoff timer calls it again.
   ensureMinimum: function() {
     var i, diff;
-    if (!this.draining && (this.count < this.min)) {
+    if (new Date().getTime() < this.createBackoffUntil) return;
+    if (this.started && !this.draining && (this.count < this.min)) {
       diff = this.min - this.count;
-      for (i = 0; i < diff; i++) {
+      for (i = 0; i < diff && this.canCreate(); i++) {
         this.createResource();
       }
     }
+  },
+
+  // Whether there's room for another resource. Pools belonging to a
+  // `KeyedPool` also need room under its `maxTotal`.
+  canCreate: function() {
+    return this.count < this.max;
+  }
+});
+
+// A resource on loan from a pool in lease mode, as `resource`. It's given
+// back through the lease, so the object never has to be passed to the pool,
+// and a lease may only be released or destroyed once.
+var Lease = function(pool, resource) {
+  this.pool = pool;
+  this.resource = resource.obj;
+  this.record = resource;
+};
+
+Lease.prototype = {
+
+  constructor: Lease,
+
+  ended: false,
+
+  // Returns the resource to the pool. Returns a promise if no callback is given.
+  release: function(callback) {
+    var lease = this;
+    return withCallback(callback, function(callback) {
+      if (lease.ended) return callback(new Error('Lease has already been released'));
+      lease.ended = true;
+      lease.pool.releaseObject(lease.resource, callback);
+    });
+  },
+
+  // Destroys the resource, as with `Pool#destroy`.
+  // Returns a promise if no callback is given.
+  destroy: function(callback) {
+    var lease = this;
+    return withCallback(callback, function(callback) {
+      if (lease.ended) return callback(new Error('Lease has already been released'));
+      lease.ended = true;
+      lease.pool.destroy(lease.resource, callback);
+    });
+  },
+
+  // The metadata kept for the resource, as from `Pool#getResourceInfo`.
+  info: function() {
+    return this.pool.resourceInfo(this.record);
+  }
+
+};
+
+// Constructor for a set of pools, one for each key, such as a shard or
+// tenant. Takes the same options as `Pool`, with the `create`, `destroy`
+// and `validate` functions given the key as their first argument. The
+// `max` and `min` apply to each key, while `maxTotal` caps the resources
+// across all keys.
+var KeyedPool = function(options) {
+  if (!(this instanceof KeyedPool)) return new KeyedPool(options);
+  if (!options.create) throw new Error('A create method must be defined for the connection pool.');
+  this.options  = options;
+  this.maxTotal = options.maxTotal || 0;
+  this.pools    = Object.create(null);
+};
+
+KeyedPool.prototype = {
+
+  constructor: KeyedPool,
+
+  closed: false,
+
+  evicting: false,
+
+  // Acquires a resource for the `key`, creating its pool if there isn't one.
+  // Takes the same callback and priority as `Pool#acquire`, returning a
+  // promise if no callback is given.
+  acquire: function(key, callback, priority) {
+    if (this.closed) {
+      return withCallback(typeof callback === 'function' ? callback : null, function(callback) {
+        callback(new Error("Pool is closed and cannot accept work"));
+      });
+    }
+    return this.poolFor(key).acquire(callback, priority);
+  },
+
+  // Returns a resource to the pool for its key.
+  // Returns a promise if no callback is given.
+  release: function(obj, callback) {
+    var pool = this.poolOf(obj);
+    return withCallback(callback, function(callback) {
+      if (!pool) return callback(new Error('Release called on an object which is not currently acquired from this pool'));
+      pool.releaseObject(obj, callback);
+    });
+  },
+
+  // Destroys a resource acquired from one of the pools.
+  // Returns a promise if no callback is given.
+  destroy: function(obj, callback) {
+    var pool = this.poolOf(obj);
+    if (pool) return pool.destroy(obj, callback);
+    return withCallback(callback, function(callback) {
+      callback(new Error('Destroy called on an object which is not currently acquired from this pool'));
+    });
+  },
+
+  // The pool for the `key`, created as needed. It starts out empty, so that
+  // its `min` resources are created within the `maxTotal`.
+  poolFor: function(key) {
+    var keyed = this, options = this.options, pool = this.pools[key];
+    if (pool) return pool;
+
+    pool = this.pools[key] = new Pool(extend(extend({}, options), {
+      name: options.name ? options.name + ':' + key : String(key),
+      min: 0,
+      create: function(callback) {
+        callAsync(options.create, this, [key], callback);
+      },
+      destroy: function(obj, callback) {
+        callAsync(options.destroy || noop, this, [key, obj], callback);
+      }
+    }));
+    if (options.validate) {
+      pool.validate = function(obj, callback) {
+        callAsync(options.validate, this, [key, obj], callback);
+      };
+    }
+    pool.canCreate = function() {
+      return Pool.prototype.canCreate.call(this) && keyed.makeRoom(this);
+    };
+    // However a resource comes back, including through a `Lease`, other
+    // keys waiting on room under `maxTotal` may take it over once it's idle.
+    pool.releaseObject = function(obj, callback) {
+      Pool.prototype.releaseObject.call(this, obj, function(err) {
+        keyed.dispense();
+        callback(err);
+      });
+    };
+    var changed = function() {
+      keyed.removeIfIdle(key, pool);
+      keyed.dispense();
+    };
+    pool.on('destroy', changed);
+    pool.on('createError', changed);
+    pool.resize({min: options.min});
+    return pool;
+  },
+
+  // The pool which lent out the `obj`, if any.
+  poolOf: function(obj) {
+    var key, borrowed = function(resource) {
+      return resource.obj === obj;
+    };
+    for (key in this.pools) {
+      if (this.pools[key].borrowedObjects.some(borrowed)) return this.pools[key];
+    }
+    return null;
+  },
+
+  // The number of resources across all keys, including ones being created.
+  size: function() {
+    var key, size = 0;
+    for (key in this.pools) {
+      size += this.pools[key].count;
+    }
+    return size;
+  },
+
+  // Whether the `pool` may create another resource under the `maxTotal`.
+  // If not, the least recently used idle resource under another key is
+  // destroyed to make room, so long as that key keeps its `min`.
+  makeRoom: function(pool) {
+    var key, other, victim = null, owner = null;
+    if (!this.maxTotal || this.size() < this.maxTotal) return true;
+    for (key in this.pools) {
+      other = this.pools[key];
+      if (other === pool || other.count <= other.min) continue;
+      other.availableObjects.forEach(function(resource) {
+        if (resource.testing || (victim && victim.timeout <= resource.timeout)) return;
+        victim = resource;
+        owner = other;
+      });
+    }
+    if (!victim) return false;
+
+    this.evicting = true;
+    owner.totals.idleEvictions += 1;
+    owner.emit('idleEvict', victim.obj, new Date().getTime() - victim.timeout + owner.idleTimeoutMillis);
+    owner.destroyObject(victim.obj, noop);
+    this.evicting = false;
+    return true;
+  },
+
+  // Lets the pools with waiting clients create resources, once there
+  // may be room for them under the `maxTotal`.
+  dispense: function() {
+    var key, pool;
+    if (this.evicting) return;
+    for (key in this.pools) {
+      pool = this.pools[key];
+      if (pool.waitingClients.size() > 0) pool.dispense();
+    }
+  },
+
+  // Closes and forgets the pool for the `key` once it has no resources
+  // or waiting clients left. Pools with a `min` are kept.
+  removeIfIdle: function(key, pool) {
+    if (this.pools[key] !== pool || pool.closed || pool.min > 0) return;
+    if (pool.count > 0 || pool.waitingClients.size() > 0) return;
+    delete this.pools[key];
+    pool.close(noop);
+  },
+
+  // Returns the statistics of each key's pool, keyed by `key`, along
+  // with the `size` across them all.
+  getStats: function() {
+    var key, keys = {};
+    for (key in this.pools) {
+      keys[key] = this.pools[key].getStats();
+    }
+    return {size: this.size(), maxTotal: this.maxTotal, keys: keys};
+  },
+
+  // Closes the pool for every key, taking the same options as `Pool#close`
+  // and passing on the first error. Returns a promise if no callback is given.
+  close: function(callback, options) {
+    var keyed = this;
+    if (typeof callback !== 'function' && callback != null) {
+      options = callback;
+      callback = null;
+    }
+    return withCallback(callback, function(callback) {
+      if (keyed.closed) return callback(new Error('Pool is already closed'));
+      keyed.closed = true;
+      var keys = Object.keys(keyed.pools), remaining = keys.length, error = null;
+      if (remaining === 0) return callback(null);
+      keys.forEach(function(key) {
+        var pool = keyed.pools[key];
+        pool.close(function(err) {
+          if (keyed.pools[key] === pool) delete keyed.pools[key];
+          error = error || err;
+          remaining -= 1;
+          if (remaining === 0) callback(error);
+        }, options);
+      });
+    });
   }
+
+};
+
+// Constructor for a cluster of pools in front of several backends, such as
+// read replicas. Each `acquire` goes to one of the `pools`, given as `Pool`s
+// or options for them, chosen by the `selector`: 'round-robin' (the
+// default), 'least-busy' or 'random'. A pool is marked unhealthy after
+// `maxFailures` create or validation failures in a row and routed around,
+// then tried again every `probeIntervalMillis` until it works.
+//
+// Clusters are event emitters, emitting `unhealthy` (pool, err) and
+// `healthy` (pool) as pools are marked and brought back.
+var PoolCluster = function(options) {
+  if (!(this instanceof PoolCluster)) return new PoolCluster(options);
+  EventEmitter.call(this);
+  this.selector = options.selector || 'round-robin';
+  if (!this.selectors[this.selector]) throw new Error('Unknown selector for the pool cluster: ' + this.selector);
+  this.maxFailures = options.maxFailures || 3;
+  this.probeIntervalMillis = options.probeIntervalMillis || 10000;
+  this.members = [];
+  (options.pools || []).forEach(this.add, this);
 };
 
+PoolCluster.prototype = extend(Object.create(EventEmitter.prototype), {
+
+  constructor: PoolCluster,
+
+  closed: false,
+
+  nextIndex: 0,
+
+  // Adds a `Pool`, or the options for one, to the cluster.
+  add: function(pool) {
+    var cluster = this;
+    if (!(pool instanceof Pool)) pool = new Pool(pool);
+    var member = {pool: pool, healthy: true, failures: 0, probeAt: 0};
+    var failed = function(err) {
+      cluster.failed(member, err);
+    };
+    pool.on('createError', failed);
+    pool.on('validateFail', function() {
+      failed(new Error('Resource failed validation'));
+    });
+    pool.on('acquire', function() {
+      cluster.succeeded(member);
+    });
+    this.members.push(member);
+    return pool;
+  },
+
+  // Choosing a pool from the members which may be used, by each `selector`.
+  selectors: {
+
+    'round-robin': function(members) {
+      var member = members[this.nextIndex % members.length];
+      this.nextIndex = (this.nextIndex + 1) % members.length;
+      return member;
+    },
+
+    'least-busy': function(members) {
+      var busy = function(member) {
+        return member.pool.borrowedObjects.length + member.pool.waitingClients.size();
+      };
+      return members.reduce(function(least, member) {
+        return busy(member) < busy(least) ? member : least;
+      });
+    },
+
+    'random': function(members) {
+      return members[Math.floor(Math.random() * members.length)];
+    }
+
+  },
+
+  // Picks a pool for the next acquire, skipping those in `tried`. Unhealthy
+  // pools are only picked once they're due to be probed again. Pools backing
+  // off after failed creates would keep the caller waiting, so unhealthy ones
+  // aren't probed until they're done, and healthy ones are picked last.
+  select: function(tried) {
+    var now = new Date().getTime(), member;
+    var members = this.members.filter(function(member) {
+      return tried.indexOf(member) === -1 && !member.pool.closed && (member.healthy || now >= member.probeAt);
+    });
+    var ready = members.filter(function(member) {
+      return member.pool.availableObjects.length > 0 || now >= member.pool.createBackoffUntil;
+    });
+    members = ready.length > 0 ? ready : members.filter(function(member) {
+      return member.healthy;
+    });
+    if (members.length === 0) return null;
+    member = this.selectors[this.selector].call(this, members);
+    if (!member.healthy) member.probeAt = now + this.probeIntervalMillis;
+    return member;
+  },
+
+  // Counts a failure against a member, marking it unhealthy after `maxFailures`.
+  failed: function(member, err) {
+    member.failures += 1;
+    if (!member.healthy) {
+      member.probeAt = new Date().getTime() + this.probeIntervalMillis;
+    } else if (member.failures >= this.maxFailures) {
+      member.healthy = false;
+      member.probeAt = new Date().getTime() + this.probeIntervalMillis;
+      this.emit('unhealthy', member.pool, err);
+    }
+  },
+
+  // Brings a member back once a resource has been handed out from it.
+  succeeded: function(member) {
+    member.failures = 0;
+    if (member.healthy) return;
+    member.healthy = true;
+    this.emit('healthy', member.pool);
+  },
+
+  // Acquires a resource from one of the pools, taking the same callback and
+  // priority as `Pool#acquire`. If it fails, other pools are tried in turn,
+  // unless it timed out. Returns a promise if no callback is given.
+  acquire: function(callback, priority) {
+    var cluster = this, tried = [];
+    if (typeof callback !== 'function' && callback != null) {
+      priority = callback;
+      callback = null;
+    }
+    return withCallback(callback, function(callback) {
+      var attempt = function(lastError) {
+        if (cluster.closed) return callback(new Error("Pool is closed and cannot accept work"));
+        var member = cluster.select(tried);
+        if (!member) return callback(lastError || new Error('No healthy pool is available in the cluster'));
+        tried.push(member);
+        member.pool.acquire(function(err, obj) {
+          if (err && !(err instanceof TimeoutError)) return attempt(err);
+          callback(err, obj);
+        }, priority);
+      };
+      attempt(null);
+    });
+  },
+
+  // Returns a resource to the pool it was acquired from.
+  // Returns a promise if no callback is given.
+  release: function(obj, callback) {
+    var pool = this.poolOf(obj);
+    if (pool) return pool.release(obj, callback);
+    return withCallback(callback, function(callback) {
+      callback(new Error('Release called on an object which is not currently acquired from this pool'));
+    });
+  },
+
+  // Destroys a resource acquired from one of the pools.
+  // Returns a promise if no callback is given.
+  destroy: function(obj, callback) {
+    var pool = this.poolOf(obj);
+    if (pool) return pool.destroy(obj, callback);
+    return withCallback(callback, function(callback) {
+      callback(new Error('Destroy called on an object which is not currently acquired from this pool'));
+    });
+  },
+
+  // The pool which lent out the `obj`, if any.
+  poolOf: function(obj) {
+    var i, borrowed = function(resource) {
+      return resource.obj === obj;
+    };
+    for (i = 0; i < this.members.length; i++) {
+      if (this.members[i].pool.borrowedObjects.some(borrowed)) return this.members[i].pool;
+    }
+    return null;
+  },
+
+  // Returns the health and statistics of each pool, in the order they were added.
+  getStats: function() {
+    return this.members.map(function(member) {
+      return extend({healthy: member.healthy, failures: member.failures}, member.pool.getStats());
+    });
+  },
+
+  // Closes every pool, taking the same options as `Pool#close` and passing
+  // on the first error. Returns a promise if no callback is given.
+  close: function(callback, options) {
+    var cluster = this;
+    if (typeof callback !== 'function' && callback != null) {
+      options = callback;
+      callback = null;
+    }
+    return withCallback(callback, function(callback) {
+      if (cluster.closed) return callback(new Error('Pool is already closed'));
+      cluster.closed = true;
+      var remaining = cluster.members.length, error = null;
+      if (remaining === 0) return callback(null);
+      cluster.members.forEach(function(member) {
+        member.pool.close(function(err) {
+          error = error || err;
+          remaining -= 1;
+          if (remaining === 0) callback(error);
+        }, options);
+      });
+    });
+  }
+
+});
+
 var slice = Array.prototype.slice;
 
+var noop = function() {};
+
+// Whether `value` is an object, which can be held in a WeakSet.
+var isObject = function(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+};
+
+// The levels messages are logged at, from the least to the most severe.
+var logLevels = ['verbose', 'info', 'warn', 'error'];
+
+// A `log` function writing messages from the `minLevel` index up to the console.
+var consoleLog = function(minLevel) {
+  return function(message, level) {
+    if (logLevels.indexOf(level) >= minLevel) console.log(level.toUpperCase() + ' ' + message);
+  };
+};
+
+// Lets the process exit while the timer is pending, where supported.
+var unref = function(timer) {
+  if (timer && typeof timer.unref === 'function') timer.unref();
+  return timer;
+};
+
+// Calls `fn` with the provided `callback`, or if there isn't one,
+// with a callback settling the returned promise.
+var withCallback = function(callback, fn) {
+  if (typeof callback === 'function') return fn(callback);
+  return new Promise(function(resolve, reject) {
+    fn(function(err, value) {
+      if (err) return reject(err);
+      resolve(value);
+    });
+  });
+};
+
+// Calls a user supplied `fn` with `args`, adding a node-style callback
+// if `fn` takes one more argument. Otherwise the return value is used,
+// waiting on it if it's a promise. Only the first result is passed to `done`,
+// and an error thrown by `fn` before it has a result is passed on as one.
+var callAsync = function(fn, ctx, args, done) {
+  var called = false, result;
+  var callback = function(err, value) {
+    if (called) return;
+    called = true;
+    done(err || null, value);
+  };
+  try {
+    result = fn.apply(ctx, fn.length > args.length ? args.concat(callback) : args);
+  } catch (err) {
+    if (called) throw err;
+    return callback(err || new Error('Threw without a reason'));
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(function(value) {
+      callback(null, value);
+    }, function(err) {
+      callback(err || new Error('Rejected without a reason'));
+    });
+  } else if (fn.length <= args.length) {
+    callback(null, result);
+  }
+};
+
 module.exports = {
 
   // Export the `Pool` constructor.
   Pool: Pool,
 
+  // Export the `Lease` constructor, for `instanceof` checks.
+  Lease: Lease,
+
+  // Export the `KeyedPool` constructor.
+  KeyedPool: KeyedPool,
+
+  // Export the `PoolCluster` constructor.
+  PoolCluster: PoolCluster,
+
   // Export the PriorityQueue constructor, in case anyone wants to fiddle with that.
-  PriorityQueue: PriorityQueue
+  PriorityQueue: PriorityQueue,
+
+  // Export the error types, for `instanceof` checks.
+  TimeoutError: TimeoutError,
+  QueueFullError: QueueFullError,
+  AbortError: AbortError
 
 };
@@ -12,6 +12,19 @@ function createDomain() {
     });
 }
 
+// Keeps the process running for `ms`, as the pool's reaper timer
+// doesn't, so that it gets to reap the idle resources.
+function waitForReaper(ms) {
+    setTimeout(function() {}, ms);
+}
+
+// Asserts that `actual` milliseconds, measured with Date, are at least
+// `expectedMs`. Timers can fire up to 1ms early against Date, which only
+// has millisecond granularity, so 2ms of slack is allowed.
+function assertAtLeast(actual, expectedMs) {
+    assert.ok(actual >= expectedMs - 2, actual + 'ms is less than ' + expectedMs + 'ms');
+}
+
 module.exports = {
 
     'expands to max limit': function(beforeExit) {
@@ -45,6 +58,7 @@ module.exports = {
             });
             assert.ok((i < 1) ^ full);
         }
+        waitForReaper(1200);
 
         beforeExit(function() {
             assert.equal(0, pool.min);
@@ -74,6 +88,7 @@ module.exports = {
             idleTimeoutMillis: 100
         });
         pool.drain();
+        waitForReaper(1100);
 
         beforeExit(function() {
             assert.equal(0, pool.availableObjects.length);
@@ -218,7 +233,7 @@ module.exports = {
             pool.release(client);
         });
 
-        setTimeout(function() {}, 102);
+        waitForReaper(1100);
 
         beforeExit(function() {
             assert.equal(2, destroyed[0]);
@@ -376,6 +391,7 @@ module.exports = {
         assert.equal(pool.count, 0);
         assertion_count += 1;
 
+        waitForReaper(1100);
         pooledFn(function(err) {
             if (err) {
                 throw err;
@@ -446,6 +462,7 @@ module.exports = {
         });
 
         pooledFn("Arg!");
+        waitForReaper(1100);
 
         beforeExit(function() {
             assert.equal(pool.count, 0);
@@ -747,6 +764,2301 @@ module.exports = {
                 usedDomains.push(item.acquiredDomain);
             });
         });
-    }
+    },
+
+    'acquire, release, drain and destroyAllNow return promises without callbacks': function(beforeExit) {
+        var steps = [];
+        var pool = poolModule.Pool({
+            name: 'test-promise',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire().then(function(client) {
+            steps.push('acquire');
+            return pool.release(client);
+        }).then(function() {
+            steps.push('release');
+            return pool.drain();
+        }).then(function() {
+            steps.push('drain');
+            return pool.destroyAllNow();
+        }).then(function() {
+            steps.push('destroyAllNow');
+            return pool.acquire();
+        }).catch(function(err) {
+            assert.equal(err.message, 'Pool is draining and cannot accept work');
+            steps.push('rejected');
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(steps, ['acquire', 'release', 'drain', 'destroyAllNow', 'rejected']);
+        });
+    },
+
+    'release rejects when called multiple times without a callback': function(beforeExit) {
+        var rejected = false;
+        var pool = poolModule.Pool({
+            name: 'test-promise-release',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, client) {
+            pool.release(client);
+            pool.release(client).catch(function(err) {
+                assert.equal(err.message, 'Release called multiple times on the same object');
+                rejected = true;
+                pool.destroyAllNow();
+            });
+        }, 0);
+
+        beforeExit(function() {
+            assert.ok(rejected);
+        });
+    },
+
+    'create may return a promise': function(beforeExit) {
+        var created = 0;
+        var errors = 0;
+        var acquired = null;
+        var pool = poolModule.Pool({
+            name: 'test-promise-create',
+            create: function() {
+                created++;
+                if (created === 1) return Promise.reject(new Error('Create failed'));
+                return Promise.resolve({id: created});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, client) {
+            assert.equal(err.message, 'Create failed');
+            errors++;
+        });
+        pool.acquire(function(err, client) {
+            assert.ifError(err);
+            acquired = client;
+            pool.release(client);
+        });
+
+        beforeExit(function() {
+            assert.equal(errors, 1);
+            assert.equal(acquired.id, 2);
+        });
+    },
+
+    'acquire times out and removes the waiting client': function(beforeExit) {
+        var timedOut = false;
+        var lateAcquired = null;
+        var pool = poolModule.Pool({
+            name: 'test-acquire-timeout',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            acquireTimeoutMillis: 20
+        });
+
+        pool.acquire(function(err, client) {
+            pool.acquire(function(err, other) {
+                assert.ok(err instanceof poolModule.TimeoutError);
+                assert.ok(other === undefined);
+                assert.equal(pool.waitingClients.size(), 0);
+                timedOut = true;
+            });
+            setTimeout(function() {
+                pool.acquire(function(err, other) {
+                    lateAcquired = other;
+                    pool.release(other);
+                });
+                pool.release(client);
+            }, 50);
+        });
+
+        beforeExit(function() {
+            assert.ok(timedOut);
+            assert.ok(lateAcquired);
+        });
+    },
+
+    'acquire timeout can be set per call': function(beforeExit) {
+        var errors = [];
+        var pool = poolModule.Pool({
+            name: 'test-acquire-timeout-override',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            priorityRange: 2
+        });
+
+        pool.acquire(function(err, client) {
+            pool.acquire({priority: 1, timeoutMillis: 10}).catch(function(err) {
+                errors.push(err);
+                pool.release(client);
+            });
+        });
+
+        beforeExit(function() {
+            assert.equal(errors.length, 1);
+            assert.ok(errors[0] instanceof poolModule.TimeoutError);
+            assert.equal(errors[0].name, 'TimeoutError');
+        });
+    },
+
+    'emits lifecycle events': function(beforeExit) {
+        var events = [];
+        var pool = poolModule.Pool({
+            name: 'test-events',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            validate: function(client) {
+                return !client.invalid;
+            },
+            max: 1,
+            idleTimeoutMillis: 20,
+            reapIntervalMillis: 10
+        });
+        assert.ok(pool instanceof EventEmitter);
+
+        ['create', 'acquire', 'release', 'validateFail', 'destroy', 'idleEvict'].forEach(function(name) {
+            pool.on(name, function(obj, millis) {
+                assert.equal(typeof obj, 'object');
+                if (name !== 'release' && name !== 'destroy' && name !== 'validateFail') {
+                    assert.equal(typeof millis, 'number');
+                }
+                events.push(name);
+            });
+        });
+
+        pool.acquire(function(err, client) {
+            client.invalid = true;
+            pool.release(client);
+            pool.acquire(function(err, client) {
+                pool.release(client);
+            });
+        });
+        waitForReaper(60);
+
+        beforeExit(function() {
+            assert.deepEqual(events, [
+                'create', 'acquire', 'release', 'validateFail', 'destroy',
+                'create', 'acquire', 'release', 'idleEvict', 'destroy'
+            ]);
+        });
+    },
+
+    'emits errors from creating the minimum resources': function(beforeExit) {
+        var createErrors = 0;
+        var errors = 0;
+        var pool = poolModule.Pool({
+            name: 'test-events-min',
+            create: function(callback) {
+                process.nextTick(function() {
+                    callback(new Error('Create failed'));
+                });
+            },
+            destroy: function(client) {},
+            max: 1,
+            min: 1,
+            idleTimeoutMillis: 100
+        });
+        pool.on('createError', function(err, duration) {
+            assert.equal(typeof duration, 'number');
+            createErrors++;
+        });
+        pool.on('error', function(err) {
+            assert.equal(err.message, 'Create failed');
+            errors++;
+            // Stops it creating the minimum again after backing off.
+            pool.close();
+        });
+
+        beforeExit(function() {
+            assert.equal(createErrors, 1);
+            assert.equal(errors, 1);
+        });
+    },
+
+    'getStats reports state, totals and timings': function(beforeExit) {
+        var snapshots = [];
+        var created = 0;
+        var pool = poolModule.Pool({
+            name: 'test-stats',
+            create: function(callback) {
+                if (created++ === 0) return callback(new Error('Create failed'));
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            priorityRange: 2
+        });
+
+        pool.acquire(function(err) {
+            assert.ok(err);
+        });
+        pool.acquire(function(err, client) {
+            pool.acquire(function(err, client) {
+                snapshots.push(pool.getStats());
+                pool.destroy(client);
+                snapshots.push(pool.getStats());
+            }, 1);
+            snapshots.push(pool.getStats());
+            setTimeout(function() {
+                pool.release(client);
+            }, 10);
+        });
+
+        beforeExit(function() {
+            var waiting = snapshots[0], borrowed = snapshots[1], done = snapshots[2];
+            assert.equal(waiting.size, 1);
+            assert.equal(waiting.borrowed, 1);
+            assert.equal(waiting.pending, 1);
+            assert.deepEqual(waiting.pendingByPriority, [0, 1]);
+            assert.equal(waiting.createErrors, 1);
+            assert.equal(waiting.created, 1);
+
+            assert.equal(borrowed.idle, 0);
+            assert.equal(borrowed.borrowed, 1);
+            assert.equal(borrowed.pending, 0);
+            assert.equal(borrowed.borrowMillis.count, 1);
+            assertAtLeast(borrowed.borrowMillis.min, 10);
+            assert.equal(borrowed.acquireWaitMillis.count, 2);
+            assertAtLeast(borrowed.acquireWaitMillis.max, 10);
+            assert.equal(borrowed.acquireWaitMillis.p99, borrowed.acquireWaitMillis.max);
+
+            assert.equal(done.size, 0);
+            assert.equal(done.borrowed, 0);
+            assert.equal(done.destroyed, 1);
+        });
+    },
+
+    'validates asynchronously on borrow without blocking other clients': function(beforeExit) {
+        var created = 0;
+        var acquired = [];
+        var pool = poolModule.Pool({
+            name: 'test-async-validate',
+            create: function(callback) {
+                callback(null, {id: ++created});
+            },
+            destroy: function(client) {},
+            validate: function(client, callback) {
+                setTimeout(function() {
+                    callback(null, client.id !== 1);
+                }, client.id === 1 ? 30 : 5);
+            },
+            max: 2,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, first) {
+            pool.acquire(function(err, second) {
+                pool.release(first);
+                pool.release(second);
+                pool.acquire(function(err, client) {
+                    acquired.push(client.id);
+                    pool.release(client);
+                });
+                pool.acquire(function(err, client) {
+                    acquired.push(client.id);
+                    setTimeout(function() {
+                        pool.release(client);
+                    }, 50);
+                });
+            });
+        });
+
+        beforeExit(function() {
+            // the client given the invalid resource gets a newly created one,
+            // after the other client is given the valid one
+            assert.deepEqual(acquired, [2, 3]);
+            assert.equal(pool.getStats().validationFailures, 1);
+        });
+    },
+
+    'validates with a promise on return': function(beforeExit) {
+        var destroyed = [];
+        var released = false;
+        var pool = poolModule.Pool({
+            name: 'test-validate-return',
+            create: function(callback) {
+                callback(null, {healthy: true});
+            },
+            destroy: function(client) {
+                destroyed.push(client);
+            },
+            validate: function(client) {
+                return Promise.resolve(client.healthy);
+            },
+            testOnBorrow: false,
+            testOnReturn: true,
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, client) {
+            client.healthy = false;
+            pool.release(client, function(err) {
+                assert.ifError(err);
+                assert.equal(pool.count, 0);
+                assert.equal(pool.availableObjects.length, 0);
+                released = true;
+            });
+        });
+
+        beforeExit(function() {
+            assert.ok(released);
+            assert.equal(destroyed.length, 1);
+        });
+    },
+
+    'validators which throw fail the validation': function(beforeExit) {
+        var destroyed = [];
+        var acquired = [];
+        var pool = poolModule.Pool({
+            name: 'test-validate-throws',
+            create: function(callback) {
+                callback(null, {open: true});
+            },
+            destroy: function(client) {
+                destroyed.push(client);
+            },
+            validate: function(client) {
+                if (!client.open) throw new Error('Socket is closed');
+                return true;
+            },
+            testOnReturn: true,
+            max: 1,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.acquire(function(err, client) {
+            acquired.push(client);
+            pool.acquire(function(err, next) {
+                assert.ifError(err);
+                acquired.push(next);
+                pool.release(next);
+            });
+            client.open = false;
+            pool.release(client, function(err) {
+                assert.ifError(err);
+            });
+        });
+
+        beforeExit(function() {
+            assert.equal(acquired.length, 2);
+            assert.ok(acquired[1] !== acquired[0]);
+            assert.deepEqual(destroyed, [acquired[0]]);
+            assert.equal(pool.totals.validationFailures, 1);
+        });
+    },
 
+    'resources being validated for a timed out client go back to the pool': function(beforeExit) {
+        var timedOut = false;
+        var pool = poolModule.Pool({
+            name: 'test-validate-timeout',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            validate: function(client, callback) {
+                setTimeout(function() {
+                    callback(null, true);
+                }, 30);
+            },
+            max: 1,
+            idleTimeoutMillis: 50,
+            reapIntervalMillis: 10
+        });
+
+        pool.acquire(function(err, client) {
+            pool.release(client);
+            pool.acquire(function(err, client) {
+                assert.ok(err instanceof poolModule.TimeoutError);
+                timedOut = true;
+                setTimeout(function() {
+                    assert.equal(pool.availableObjects.length, 1);
+                }, 25);
+            }, {timeoutMillis: 10});
+        });
+
+        beforeExit(function() {
+            assert.ok(timedOut);
+        });
+    },
+
+    'validates idle resources while reaping': function(beforeExit) {
+        var created = 0;
+        var tested = [];
+        var destroyed = [];
+        var pool = poolModule.Pool({
+            name: 'test-idle-validate',
+            create: function(callback) {
+                callback(null, {id: ++created});
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            validate: function(client, callback) {
+                tested.push(client.id);
+                setTimeout(function() {
+                    callback(null, client.id !== 1);
+                }, 20);
+            },
+            testOnBorrow: false,
+            testWhileIdle: true,
+            numTestsPerEvictionRun: 1,
+            min: 2,
+            max: 2,
+            idleTimeoutMillis: 10000,
+            reapIntervalMillis: 10
+        });
+
+        setTimeout(function() {
+            // resource 1 is being tested, so resource 2 is handed out
+            assert.deepEqual(tested, [1]);
+            pool.acquire(function(err, client) {
+                assert.equal(client.id, 2);
+                setTimeout(function() {
+                    pool.release(client);
+                    pool.min = 0;
+                    pool.destroyAllNow();
+                }, 40);
+            });
+        }, 15);
+
+        beforeExit(function() {
+            assert.equal(tested[0], 1);
+            assert.equal(destroyed[0], 1);
+            // the dead resource was replaced to keep the minimum
+            assert.equal(created, 3);
+            assert.equal(pool.getStats().validationFailures, 1);
+        });
+    },
+
+    'destroyAllNow waits for asynchronous destroys': function(beforeExit) {
+        var closed = 0;
+        var finished = false;
+        var pool = poolModule.Pool({
+            name: 'test-async-destroy',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client, callback) {
+                setTimeout(function() {
+                    closed++;
+                    callback();
+                }, 20);
+            },
+            max: 2,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, first) {
+            pool.acquire(function(err, second) {
+                pool.destroy(first).then(function() {
+                    assert.equal(closed, 1);
+                });
+                pool.release(second);
+                pool.destroyAllNow(function() {
+                    assert.equal(closed, 2);
+                    assert.equal(pool.pendingDestroys, 0);
+                    finished = true;
+                });
+            });
+        });
+
+        beforeExit(function() {
+            assert.ok(finished);
+        });
+    },
+
+    'destroy errors and timeouts are reported': function(beforeExit) {
+        var errors = [];
+        var destroyErrors = [];
+        var pool = poolModule.Pool({
+            name: 'test-destroy-timeout',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {
+                if (client.hang) return new Promise(function() {});
+                return Promise.reject(new Error('Close failed'));
+            },
+            max: 2,
+            idleTimeoutMillis: 100,
+            destroyTimeoutMillis: 20
+        });
+        pool.on('destroyError', function(err, client) {
+            assert.equal(typeof client, 'object');
+            destroyErrors.push(err);
+        });
+
+        pool.acquire(function(err, first) {
+            pool.acquire(function(err, second) {
+                second.hang = true;
+                pool.destroy(first, function(err) {
+                    errors.push(err);
+                });
+                pool.destroy(second, function(err) {
+                    errors.push(err);
+                });
+            });
+        });
+
+        beforeExit(function() {
+            assert.equal(errors.length, 2);
+            assert.equal(errors[0].message, 'Close failed');
+            assert.ok(errors[1] instanceof poolModule.TimeoutError);
+            assert.deepEqual(destroyErrors, errors);
+            assert.equal(pool.count, 0);
+        });
+    },
+
+    'destroy handlers which throw are reported without hanging the drain': function(beforeExit) {
+        var destroyErrors = [];
+        var closed = false;
+        var pool = poolModule.Pool({
+            name: 'test-destroy-throws',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {
+                throw new Error('Close failed');
+            },
+            max: 2,
+            idleTimeoutMillis: 30000
+        });
+        pool.on('destroyError', function(err, client) {
+            destroyErrors.push(err.message);
+        });
+
+        pool.acquire(function(err, client) {
+            pool.release(client);
+            pool.close(function(err) {
+                assert.ifError(err);
+                closed = true;
+                assert.equal(pool.pendingDestroys, 0);
+                assert.equal(pool.count, 0);
+            });
+        });
+
+        beforeExit(function() {
+            assert.ok(closed);
+            assert.deepEqual(destroyErrors, ['Close failed']);
+        });
+    },
+
+    'create timeout frees the slot and destroys late resources': function(beforeExit) {
+        var created = 0;
+        var destroyed = [];
+        var errors = [];
+        var pool = poolModule.Pool({
+            name: 'test-create-timeout',
+            create: function(callback) {
+                var client = {id: ++created};
+                setTimeout(function() {
+                    callback(null, client);
+                }, client.id === 1 ? 40 : 0);
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            max: 1,
+            idleTimeoutMillis: 100,
+            createTimeoutMillis: 20,
+            reapIntervalMillis: 10,
+            createRetryIntervalMillis: 1
+        });
+
+        pool.acquire(function(err) {
+            errors.push(err);
+            assert.equal(pool.count, 0);
+            pool.acquire(function(err, client) {
+                assert.equal(client.id, 2);
+                pool.release(client);
+            });
+        });
+
+        waitForReaper(150);
+
+        beforeExit(function() {
+            assert.equal(errors.length, 1);
+            assert.ok(errors[0] instanceof poolModule.TimeoutError);
+            assert.deepEqual(destroyed, [1, 2]);
+        });
+    },
+
+    'retries failed creates with backoff': function(beforeExit) {
+        var attempts = [];
+        var acquired = null;
+        var createErrors = 0;
+        var pool = poolModule.Pool({
+            name: 'test-create-retry',
+            create: function(callback) {
+                attempts.push(new Date().getTime());
+                if (attempts.length < 3) return callback(new Error('Connection refused'));
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            createRetries: 2,
+            createRetryIntervalMillis: 20
+        });
+        pool.on('createError', function() {
+            createErrors++;
+        });
+
+        pool.acquire(function(err, client) {
+            assert.ifError(err);
+            acquired = client;
+            pool.release(client);
+        });
+
+        beforeExit(function() {
+            assert.ok(acquired);
+            assert.equal(createErrors, 0);
+            assert.equal(attempts.length, 3);
+            // backs off at least half of 20ms, then half of 40ms.
+            assertAtLeast(attempts[1] - attempts[0], 10);
+            assertAtLeast(attempts[2] - attempts[1], 20);
+        });
+    },
+
+    'creates up to min again once the backoff is over': function(beforeExit) {
+        var upAt = new Date().getTime() + 50;
+        var attempts = 0;
+        var checked = false;
+        var pool = poolModule.Pool({
+            name: 'test-create-retry-min',
+            create: function(callback) {
+                attempts++;
+                process.nextTick(function() {
+                    if (new Date().getTime() < upAt) return callback(new Error('Connection refused'));
+                    callback(null, {});
+                });
+            },
+            destroy: function(client) {},
+            min: 2,
+            max: 2,
+            idleTimeoutMillis: 30000,
+            createRetryIntervalMillis: 20,
+            createRetryMaxIntervalMillis: 40
+        });
+
+        setTimeout(function() {
+            checked = true;
+            assert.equal(pool.count, 2);
+            assert.equal(pool.availableObjects.length, 2);
+            // At most two creates per backoff while the backend is down.
+            assert.ok(attempts < 20, attempts + ' attempts');
+            pool.close();
+        }, 300);
+
+        beforeExit(function() {
+            assert.ok(checked);
+        });
+    },
+
+    'create errors fail up to maxWaitersFailedPerCreateError waiters and back off': function(beforeExit) {
+        var attempts = 0;
+        var errors = 0;
+        var pool = poolModule.Pool({
+            name: 'test-create-fail-waiters',
+            create: function(callback) {
+                attempts++;
+                process.nextTick(function() {
+                    callback(new Error('Connection refused'));
+                });
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            createRetryIntervalMillis: 40,
+            maxWaitersFailedPerCreateError: 3
+        });
+
+        for (var i = 0; i < 5; i++) {
+            pool.acquire(function(err, client) {
+                assert.equal(err.message, 'Connection refused');
+                errors++;
+            });
+        }
+
+        setTimeout(function() {
+            assert.equal(attempts, 1);
+            assert.equal(errors, 3);
+            assert.equal(pool.waitingClients.size(), 2);
+        }, 15);
+
+        beforeExit(function() {
+            assert.equal(attempts, 2);
+            assert.equal(errors, 5);
+        });
+    },
+
+    'rejects clients once the wait queue is full': function(beforeExit) {
+        var rejected = [];
+        var served = 0;
+        var pool = poolModule.Pool({
+            name: 'test-queue-full',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            priorityRange: 2,
+            maxWaitingClients: 3,
+            maxWaitingClientsPerPriority: [0, 1]
+        });
+
+        var acquire = function(priority) {
+            pool.acquire(function(err, client) {
+                if (err) return rejected.push([priority, err]);
+                served++;
+                setTimeout(function() {
+                    pool.release(client);
+                }, 5);
+            }, priority);
+        };
+
+        acquire(0);
+        acquire(1);
+        // only one waiter allowed at the low priority
+        acquire(1);
+        acquire(0);
+        acquire(0);
+        // the queue is full
+        acquire(0);
+
+        beforeExit(function() {
+            assert.equal(served, 4);
+            assert.equal(rejected.length, 2);
+            assert.equal(rejected[0][0], 1);
+            assert.equal(rejected[1][0], 0);
+            assert.ok(rejected[0][1] instanceof poolModule.QueueFullError);
+            assert.equal(rejected[1][1].message, 'Pool queue is full, too many clients are waiting');
+            assert.equal(pool.getStats().acquiresRejected, 2);
+        });
+    },
+
+    'recycles resources after maxUses': function(beforeExit) {
+        var created = 0;
+        var destroyed = [];
+        var ids = [];
+        var pool = poolModule.Pool({
+            name: 'test-max-uses',
+            create: function(callback) {
+                callback(null, {id: ++created});
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            max: 1,
+            idleTimeoutMillis: 100,
+            maxUses: 2,
+            reapIntervalMillis: 10
+        });
+
+        var acquire = function(remaining) {
+            if (!remaining) return;
+            pool.acquire(function(err, client) {
+                ids.push(client.id);
+                pool.release(client);
+                acquire(remaining - 1);
+            });
+        };
+        acquire(5);
+
+        waitForReaper(150);
+
+        beforeExit(function() {
+            assert.deepEqual(ids, [1, 1, 2, 2, 3]);
+            assert.deepEqual(destroyed, [1, 2, 3]);
+            assert.equal(pool.getStats().recycled, 2);
+        });
+    },
+
+    'recycles resources after maxLifetimeMillis': function(beforeExit) {
+        var created = 0;
+        var destroyed = [];
+        var ids = [];
+        var pool = poolModule.Pool({
+            name: 'test-max-lifetime',
+            create: function(callback) {
+                callback(null, {id: ++created});
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            min: 1,
+            max: 1,
+            idleTimeoutMillis: 10000,
+            reapIntervalMillis: 10,
+            maxLifetimeMillis: 30,
+            maxLifetimeJitterMillis: 0
+        });
+
+        pool.acquire(function(err, client) {
+            ids.push(client.id);
+            setTimeout(function() {
+                // expired while borrowed, so it's destroyed on release
+                pool.release(client);
+                pool.acquire(function(err, client) {
+                    ids.push(client.id);
+                    pool.release(client);
+                    setTimeout(function() {
+                        // expired while idle, so the reaper replaced it
+                        assert.deepEqual(destroyed, [1, 2]);
+                        assert.equal(pool.availableObjects[0].obj.id, 3);
+                        pool.min = 0;
+                        pool.destroyAllNow();
+                    }, 50);
+                });
+            }, 40);
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(ids, [1, 2]);
+            assert.equal(pool.getStats().recycled, 2);
+        });
+    },
+
+    'staggers resource lifetimes': function(beforeExit) {
+        var pool = poolModule.Pool({
+            name: 'test-lifetime-jitter',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            min: 10,
+            max: 10,
+            idleTimeoutMillis: 10000,
+            maxLifetimeMillis: 60000
+        });
+
+        var retireAt = pool.availableObjects.map(function(resource) {
+            return resource.retireAt - resource.createdAt;
+        });
+        pool.min = 0;
+        pool.destroyAllNow();
+
+        retireAt.forEach(function(lifetime) {
+            assert.ok(lifetime <= 60000 && lifetime >= 54000);
+        });
+        assert.ok(retireAt.some(function(lifetime) {
+            return lifetime !== retireAt[0];
+        }));
+    },
+
+    'reports resources borrowed past the leak detection threshold': function(beforeExit) {
+        var leaks = [];
+        var pool = poolModule.Pool({
+            name: 'test-leak',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 2,
+            idleTimeoutMillis: 100,
+            leakDetectionThresholdMillis: 20,
+            leakDetectionStackTrace: true
+        });
+        pool.on('leak', function(client, info) {
+            leaks.push(info);
+        });
+
+        pool.acquire(function(err, quick) {
+            pool.release(quick);
+        });
+        pool.acquire(function(err, slow) {
+            var borrowed = pool.getBorrowed();
+            assert.equal(borrowed.length, 1);
+            assert.equal(borrowed[0].obj, slow);
+            setTimeout(function() {
+                pool.release(slow);
+            }, 40);
+        });
+
+        beforeExit(function() {
+            assert.equal(leaks.length, 1);
+            assertAtLeast(leaks[0].borrowedMillis, 20);
+            assert.ok(/generic-pool\.test\.js/.test(leaks[0].stack));
+            assert.equal(pool.getStats().leaks, 1);
+        });
+    },
+
+    'destroys and replaces abandoned resources': function(beforeExit) {
+        var created = 0;
+        var destroyed = [];
+        var abandoned = [];
+        var releaseError = null;
+        var forgottenClient = null;
+        var pool = poolModule.Pool({
+            name: 'test-abandon',
+            create: function(callback) {
+                callback(null, {id: ++created});
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            max: 1,
+            idleTimeoutMillis: 100,
+            removeAbandoned: true,
+            reapIntervalMillis: 10,
+            removeAbandonedTimeoutMillis: 20
+        });
+        pool.on('abandon', function(client, info) {
+            abandoned.push(client.id);
+        });
+
+        pool.acquire(function(err, forgotten) {
+            forgottenClient = forgotten;
+            pool.acquire(function(err, client) {
+                assert.equal(client.id, 2);
+                pool.release(forgotten, function(err) {
+                    releaseError = err;
+                    pool.release(client);
+                });
+            });
+        });
+
+        // neither the abandon timer nor the reaper keep the process running
+        waitForReaper(150);
+
+        beforeExit(function() {
+            assert.deepEqual(abandoned, [1]);
+            assert.deepEqual(destroyed, [1, 2]);
+            assert.equal(releaseError.message, 'Resource was abandoned and has been destroyed by the pool');
+            assert.equal(pool.abandonedObjects.has(forgottenClient), false);
+        });
+    },
+
+    'keeps no reference to abandoned resources which are never released': function(beforeExit) {
+        var forgotten = null;
+        var pool = poolModule.Pool({
+            name: 'test-abandon-unreleased',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100,
+            removeAbandoned: true,
+            reapIntervalMillis: 10,
+            removeAbandonedTimeoutMillis: 10
+        });
+
+        pool.acquire(function(err, client) {
+            forgotten = client;
+        });
+        waitForReaper(50);
+
+        // Walks the pool's own state, looking for the object.
+        var references = function(value, obj, seen) {
+            if (value === obj) return true;
+            if (value === null || typeof value !== 'object' || seen.indexOf(value) !== -1) return false;
+            if (value instanceof EventEmitter && value !== pool) return false;
+            seen.push(value);
+            return Object.keys(value).some(function(key) {
+                return references(value[key], obj, seen);
+            });
+        };
+
+        beforeExit(function() {
+            assert.equal(pool.getStats().abandoned, 1);
+            assert.equal(references(pool, forgotten, []), false);
+            assert.equal(pool.abandonedObjects.has(forgotten), true);
+        });
+    },
+
+    'rejects releasing and destroying objects not borrowed from the pool': function(beforeExit) {
+        var errors = [];
+        var destroyed = 0;
+        var pool = poolModule.Pool({
+            name: 'test-ownership',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {
+                destroyed++;
+            },
+            max: 1,
+            idleTimeoutMillis: 100,
+            reapIntervalMillis: 10
+        });
+        var collect = function(err) {
+            errors.push(err.message);
+        };
+
+        pool.release({}, collect);
+        pool.destroy({}, collect);
+        pool.acquire(function(err, client) {
+            pool.destroy(client, function(err) {
+                assert.ifError(err);
+                pool.destroy(client, collect);
+                pool.release(client, collect);
+                assert.equal(pool.count, 0);
+                pool.acquire(function(err, client) {
+                    pool.release(client);
+                    pool.destroy(client).catch(collect);
+                    assert.equal(pool.count, 1);
+                    assert.equal(pool.availableObjects.length, 1);
+                });
+            });
+        });
+
+        waitForReaper(150);
+
+        beforeExit(function() {
+            assert.deepEqual(errors, [
+                'Release called on an object which is not currently acquired from this pool',
+                'Destroy called on an object which is not currently acquired from this pool',
+                'Destroy called on an object which is not currently acquired from this pool',
+                'Release called on an object which is not currently acquired from this pool',
+                'Destroy called on an object which is not currently acquired from this pool'
+            ]);
+            assert.equal(destroyed, 2);
+            assert.equal(pool.count, 0);
+        });
+    },
+
+    'dispenses idle resources in FIFO or LIFO order': function(beforeExit) {
+        var evicted = {};
+        var used = {fifo: [], lifo: []};
+
+        [true, false].forEach(function(fifo) {
+            var key = fifo ? 'fifo' : 'lifo';
+            var created = 0;
+            var pool = poolModule.Pool({
+                name: 'test-' + key,
+                create: function(callback) {
+                    callback(null, {id: ++created});
+                },
+                destroy: function(client) {},
+                max: 3,
+                idleTimeoutMillis: 100,
+                reapIntervalMillis: 10,
+                fifo: fifo
+            });
+
+            // create three resources, then keep using one at a time
+            var clients = [];
+            for (var i = 0; i < 3; i++) {
+                pool.acquire(function(err, client) {
+                    clients.push(client);
+                });
+            }
+            clients.forEach(function(client) {
+                pool.release(client);
+            });
+
+            var interval = setInterval(function() {
+                pool.acquire(function(err, client) {
+                    used[key].push(client.id);
+                    pool.release(client);
+                });
+            }, 10);
+
+            setTimeout(function() {
+                clearInterval(interval);
+                evicted[key] = pool.getStats().idleEvictions;
+                pool.destroyAllNow();
+            }, 200);
+        });
+
+        beforeExit(function() {
+            // FIFO cycles through all of them, so none go idle for long
+            assert.deepEqual(used.fifo.slice(0, 6), [1, 2, 3, 1, 2, 3]);
+            assert.equal(evicted.fifo, 0);
+            // LIFO keeps reusing the last one, letting the others time out
+            used.lifo.forEach(function(id) {
+                assert.equal(id, 3);
+            });
+            assert.equal(evicted.lifo, 2);
+        });
+    },
+
+    'drain completes as soon as the last resource is released': function(beforeExit) {
+        var releasedAt = 0;
+        var drainedAt = 0;
+        var pool = poolModule.Pool({
+            name: 'test-drain-events',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, client) {
+            setTimeout(function() {
+                releasedAt = new Date().getTime();
+                pool.release(client);
+            }, 20);
+        });
+        pool.drain().then(function() {
+            drainedAt = new Date().getTime();
+            return pool.destroyAllNow();
+        });
+
+        beforeExit(function() {
+            assert.ok(drainedAt > 0);
+            assert.ok(drainedAt - releasedAt < 10);
+        });
+    },
+
+    'drain timeout destroys borrowed resources and fails waiters': function(beforeExit) {
+        var leaked = null;
+        var drainError = null;
+        var waiterError = null;
+        var destroyed = 0;
+        var pool = poolModule.Pool({
+            name: 'test-drain-timeout',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {
+                destroyed++;
+            },
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        pool.acquire(function(err, client) {
+            leaked = client;
+        });
+        pool.acquire(function(err, client) {
+            waiterError = err;
+        });
+        pool.drain(function(err) {
+            drainError = err;
+            assert.equal(pool.count, 0);
+        }, {timeoutMillis: 20});
+
+        beforeExit(function() {
+            assert.ok(drainError instanceof poolModule.TimeoutError);
+            assert.equal(drainError.borrowed.length, 1);
+            assert.equal(drainError.borrowed[0].obj, leaked);
+            assert.ok(waiterError instanceof poolModule.TimeoutError);
+            assert.equal(destroyed, 1);
+        });
+    },
+
+    'close drains, destroys everything and refuses later calls': function(beforeExit) {
+        var destroyed = 0;
+        var errors = [];
+        var closed = false;
+        var pool = poolModule.Pool({
+            name: 'test-close',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client, callback) {
+                setTimeout(function() {
+                    destroyed++;
+                    callback();
+                }, 5);
+            },
+            min: 2,
+            max: 2,
+            idleTimeoutMillis: 30000
+        });
+        assert.equal(pool.removeIdleTimer.hasRef(), false);
+
+        pool.acquire(function(err, client) {
+            setTimeout(function() {
+                pool.release(client);
+            }, 10);
+            pool.close().then(function() {
+                closed = true;
+                assert.equal(destroyed, 2);
+                assert.equal(pool.count, 0);
+                assert.equal(pool.availableObjects.length, 0);
+                pool.acquire(function(err) {
+                    errors.push(err.message);
+                });
+                return pool.end();
+            }).catch(function(err) {
+                errors.push(err.message);
+            });
+        });
+
+        beforeExit(function() {
+            assert.ok(closed);
+            assert.deepEqual(errors, ['Pool is closed and cannot accept work', 'Pool is already closed']);
+        });
+    },
+
+    'close destroys resources which are created after it times out': function(beforeExit) {
+        var destroyed = [];
+        var errors = [];
+        var closed = false;
+        var pool = poolModule.Pool({
+            name: 'test-close-late-create',
+            create: function(callback) {
+                setTimeout(function() {
+                    callback(null, {late: true});
+                }, 50);
+            },
+            destroy: function(client) {
+                destroyed.push(client);
+            },
+            max: 1,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.acquire(function(err) {
+            errors.push(err.name);
+        });
+        pool.close({timeoutMillis: 10}).catch(function(err) {
+            closed = true;
+            errors.push(err.name);
+            assert.equal(pool.count, 1);
+        });
+        pool.on('destroy', function() {
+            assert.equal(pool.count, 0);
+            assert.equal(pool.availableObjects.length, 0);
+        });
+
+        beforeExit(function() {
+            assert.ok(closed);
+            assert.deepEqual(errors, ['TimeoutError', 'TimeoutError']);
+            assert.equal(destroyed.length, 1);
+            assert.ok(destroyed[0].late);
+            assert.equal(pool.count, 0);
+        });
+    },
+
+    'close cancels creates which are waiting to retry': function(beforeExit) {
+        var attempts = 0;
+        var errors = [];
+        var closed = false;
+        var pool = poolModule.Pool({
+            name: 'test-close-retry',
+            create: function(callback) {
+                attempts++;
+                callback(new Error('refused'));
+            },
+            destroy: function(client) {},
+            max: 1,
+            createRetries: 3,
+            createRetryIntervalMillis: 60000,
+            idleTimeoutMillis: 30000
+        });
+        var startedAt = new Date().getTime();
+
+        pool.acquire(function(err) {
+            errors.push(err.message);
+        });
+        assert.equal(pool.pendingRetries.length, 1);
+        pool.close(function(err) {
+            assert.ifError(err);
+            closed = true;
+            assert.ok(new Date().getTime() - startedAt < 1000);
+            assert.equal(pool.pendingRetries.length, 0);
+            assert.equal(pool.count, 0);
+            assert.equal(pool.pendingCreates, 0);
+        });
+
+        beforeExit(function() {
+            assert.ok(closed);
+            assert.equal(attempts, 1);
+            assert.deepEqual(errors, ['refused']);
+        });
+    },
+
+    'resize grows the pool and serves waiting clients straight away': function(beforeExit) {
+        var created = 0;
+        var acquired = 0;
+        var pool = poolModule.Pool({
+            name: 'test-resize-grow',
+            create: function(callback) {
+                created++;
+                setTimeout(function() {
+                    callback(null, {});
+                }, 5);
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 100
+        });
+
+        for (var i = 0; i < 4; i++) {
+            pool.acquire(function(err, client) {
+                assert.ifError(err);
+                acquired++;
+            });
+        }
+        pool.resize({max: 3, min: 2});
+        assert.equal(pool.max, 3);
+        assert.equal(pool.min, 2);
+        assert.equal(pool.count, 3);
+
+        beforeExit(function() {
+            assert.equal(created, 3);
+            assert.equal(acquired, 3);
+            assert.equal(pool.getStats().pending, 1);
+        });
+    },
+
+    'resize shrinks idle resources first and borrowed ones on release': function(beforeExit) {
+        var destroyed = [];
+        var maxCount = 0;
+        var id = 0;
+        var pool = poolModule.Pool({
+            name: 'test-resize-shrink',
+            create: function(callback) {
+                callback(null, {id: ++id});
+            },
+            destroy: function(client) {
+                destroyed.push(client.id);
+            },
+            max: 4,
+            idleTimeoutMillis: 30000
+        });
+        var borrowed = [];
+
+        for (var i = 0; i < 4; i++) {
+            pool.acquire(function(err, client) {
+                borrowed.push(client);
+            });
+        }
+        pool.release(borrowed.shift());
+        pool.resize({max: 2, min: 5});
+        assert.equal(pool.max, 2);
+        assert.equal(pool.min, 2);
+        assert.deepEqual(destroyed, [1]);
+        assert.equal(pool.count, 3);
+
+        pool.acquire(function(err, client) {
+            borrowed.push(client);
+            maxCount = Math.max(maxCount, pool.count);
+        });
+        assert.equal(pool.getStats().pending, 1);
+        pool.release(borrowed.shift());
+        assert.deepEqual(destroyed, [1, 2]);
+        assert.equal(pool.count, 2);
+        assert.equal(pool.getStats().pending, 1);
+        pool.release(borrowed.shift());
+        assert.deepEqual(destroyed, [1, 2]);
+
+        beforeExit(function() {
+            assert.equal(maxCount, 2);
+            assert.equal(pool.count, 2);
+            assert.deepEqual(borrowed.map(function(client) { return client.id; }), [4, 3]);
+        });
+    },
+
+    'acquireMany hands over all resources together and waits as one entry': function(beforeExit) {
+        var order = [];
+        var id = 0;
+        var pool = poolModule.Pool({
+            name: 'test-acquire-many',
+            create: function(callback) {
+                callback(null, {id: ++id});
+            },
+            destroy: function(client) {},
+            max: 4,
+            idleTimeoutMillis: 100
+        });
+        var singles = [];
+
+        pool.acquire(function(err, client) { singles.push(client); });
+        pool.acquire(function(err, client) { singles.push(client); });
+        pool.acquireMany(3, function(err, clients) {
+            assert.ifError(err);
+            order.push('many');
+            assert.equal(clients.length, 3);
+            assert.equal(pool.getStats().borrowed, 4);
+            setTimeout(function() {
+                pool.releaseMany(clients).then(function() {
+                    order.push('releaseMany');
+                });
+            }, 10);
+        });
+        pool.acquire(function(err, client) {
+            order.push('single');
+            pool.release(client);
+        });
+        assert.equal(pool.getStats().pending, 2);
+        assert.equal(pool.count, 4);
+
+        setTimeout(function() {
+            pool.release(singles.shift());
+        }, 10);
+
+        beforeExit(function() {
+            assert.deepEqual(order, ['many', 'single', 'releaseMany']);
+            assert.equal(pool.getStats().borrowed, 1);
+        });
+    },
+
+    'acquireMany callers do not deadlock each other': function(beforeExit) {
+        var completed = 0;
+        var pool = poolModule.Pool({
+            name: 'test-acquire-many-deadlock',
+            create: function(callback) {
+                setTimeout(function() {
+                    callback(null, {});
+                }, 2);
+            },
+            destroy: function(client) {},
+            max: 4,
+            priorityRange: 2,
+            idleTimeoutMillis: 30000
+        });
+
+        var job = function(n) {
+            return function(err, clients) {
+                assert.ifError(err);
+                assert.equal(clients.length, n);
+                completed++;
+                setTimeout(function() {
+                    pool.releaseMany(clients, function(err) {
+                        assert.ifError(err);
+                    });
+                }, 5);
+            };
+        };
+        pool.acquireMany(3, job(3));
+        pool.acquireMany(3, job(3));
+        pool.acquireMany(2, job(2), 1);
+        pool.acquireMany(3, job(3), {priority: 0, timeoutMillis: 1000});
+
+        beforeExit(function() {
+            assert.equal(completed, 4);
+            assert.equal(pool.count, 4);
+            assert.equal(pool.availableObjects.length, 4);
+        });
+    },
+
+    'acquireMany gives back held resources on timeout and rejects more than max': function(beforeExit) {
+        var errors = [];
+        var pool = poolModule.Pool({
+            name: 'test-acquire-many-timeout',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 3,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.acquireMany(4).catch(function(err) {
+            errors.push(err.message);
+        });
+        pool.acquire(function(err, client) {
+            pool.acquireMany(3, {timeoutMillis: 20}).catch(function(err) {
+                assert.ok(err instanceof poolModule.TimeoutError);
+                assert.equal(pool.availableObjects.length, 2);
+                pool.releaseMany([client, {}], function(err) {
+                    errors.push(err.message);
+                });
+            });
+            assert.equal(pool.availableObjects.length, 0);
+            assert.equal(pool.getStats().pending, 1);
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(errors, [
+                'acquireMany needs between 1 and 3 resources',
+                'Release called on an object which is not currently acquired from this pool'
+            ]);
+            assert.equal(pool.availableObjects.length, 3);
+        });
+    },
+
+    'KeyedPool creates a pool per key and passes the key to the factory': function(beforeExit) {
+        var created = [];
+        var destroyed = [];
+        var validated = [];
+        var pool = poolModule.KeyedPool({
+            name: 'test-keyed',
+            create: function(key, callback) {
+                created.push(key);
+                callback(null, {key: key});
+            },
+            destroy: function(key, client) {
+                destroyed.push(key);
+            },
+            validate: function(key, client) {
+                validated.push(key);
+                return true;
+            },
+            max: 2,
+            idleTimeoutMillis: 30000
+        });
+        var released = false;
+
+        pool.acquire('a', function(err, client) {
+            assert.ifError(err);
+            assert.equal(client.key, 'a');
+            pool.release(client, function(err) {
+                assert.ifError(err);
+                released = true;
+                pool.release(client, function(err) {
+                    assert.equal(err.message, 'Release called on an object which is not currently acquired from this pool');
+                });
+            });
+        });
+        pool.acquire('b').then(function(client) {
+            assert.equal(client.key, 'b');
+            return pool.destroy(client);
+        }).then(function() {
+            assert.equal(pool.pools.b, undefined);
+            var stats = pool.getStats();
+            assert.equal(stats.size, 1);
+            assert.equal(stats.keys.a.idle, 1);
+            assert.equal(pool.pools.a.name, 'test-keyed:a');
+            return pool.close();
+        }).then(function() {
+            return pool.acquire('a');
+        }).catch(function(err) {
+            assert.equal(err.message, 'Pool is closed and cannot accept work');
+            assert.deepEqual(destroyed.sort(), ['a', 'b']);
+        });
+
+        beforeExit(function() {
+            assert.ok(released);
+            assert.deepEqual(created, ['a', 'b']);
+            assert.deepEqual(validated, []);
+            assert.equal(pool.size(), 0);
+        });
+    },
+
+    'KeyedPool evicts idle resources of other keys to stay under maxTotal': function(beforeExit) {
+        var destroyed = [];
+        var acquired = [];
+        var pool = poolModule.KeyedPool({
+            name: 'test-keyed-max-total',
+            create: function(key, callback) {
+                callback(null, {key: key});
+            },
+            destroy: function(key, client) {
+                destroyed.push(key);
+            },
+            max: 2,
+            maxTotal: 3,
+            idleTimeoutMillis: 30000
+        });
+        var held = {};
+
+        ['a', 'a', 'b'].forEach(function(key) {
+            pool.acquire(key, function(err, client) {
+                acquired.push(key);
+                (held[key] = held[key] || []).push(client);
+            });
+        });
+        pool.release(held.a.shift());
+        assert.equal(pool.size(), 3);
+
+        // Takes over the idle resource under 'a'.
+        pool.acquire('c', function(err, client) {
+            acquired.push('c');
+            assert.deepEqual(destroyed, ['a']);
+            assert.equal(pool.size(), 3);
+
+            // Waits for room, as nothing is idle.
+            pool.acquire('d', function(err, client) {
+                acquired.push('d');
+                assert.deepEqual(destroyed, ['a', 'b']);
+                assert.equal(pool.pools.b, undefined);
+                assert.equal(pool.size(), 3);
+            });
+            assert.equal(pool.getStats().keys.d.pending, 1);
+            setTimeout(function() {
+                pool.release(held.b.shift());
+            }, 10);
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(acquired, ['a', 'a', 'b', 'c', 'd']);
+        });
+    },
+
+    'KeyedPool removes idle pools once their resources are reaped': function(beforeExit) {
+        var closed = false;
+        var pool = poolModule.KeyedPool({
+            name: 'test-keyed-reap',
+            create: function(key, callback) {
+                callback(null, {key: key});
+            },
+            destroy: function(key, client) {},
+            max: 2,
+            idleTimeoutMillis: 10,
+            reapIntervalMillis: 10
+        });
+
+        pool.acquire('a', function(err, client) {
+            var subPool = pool.pools.a;
+            subPool.on('close', function() {
+                closed = true;
+            });
+            pool.release(client);
+        });
+        waitForReaper(100);
+
+        beforeExit(function() {
+            assert.ok(closed);
+            assert.deepEqual(Object.keys(pool.pools), []);
+        });
+    },
+
+    'PoolCluster spreads acquires across its pools': function(beforeExit) {
+        var factory = function(name) {
+            return {
+                create: function(callback) {
+                    callback(null, {name: name});
+                },
+                destroy: function(client) {},
+                max: 5,
+                idleTimeoutMillis: 30000
+            };
+        };
+        var roundRobin = poolModule.PoolCluster({pools: [factory('a'), factory('b'), factory('c')]});
+        var leastBusy = poolModule.PoolCluster({pools: [factory('a'), factory('b')], selector: 'least-busy'});
+        var random = poolModule.PoolCluster({pools: [factory('a'), factory('b')], selector: 'random'});
+        var names = [];
+        var busyNames = [];
+        var randomName = null;
+
+        for (var i = 0; i < 4; i++) {
+            roundRobin.acquire(function(err, client) {
+                names.push(client.name);
+                roundRobin.release(client);
+            });
+        }
+        leastBusy.acquire(function(err, client) {
+            busyNames.push(client.name);
+            leastBusy.acquire(function(err, other) {
+                busyNames.push(other.name);
+                leastBusy.release(client, function(err) {
+                    assert.ifError(err);
+                    leastBusy.acquire().then(function(client) {
+                        busyNames.push(client.name);
+                    });
+                });
+            });
+        });
+        random.acquire().then(function(client) {
+            randomName = client.name;
+        });
+
+        assert.throws(function() {
+            poolModule.PoolCluster({pools: [], selector: 'fastest'});
+        }, /Unknown selector for the pool cluster: fastest/);
+
+        beforeExit(function() {
+            assert.deepEqual(names, ['a', 'b', 'c', 'a']);
+            assert.deepEqual(busyNames, ['a', 'b', 'a']);
+            assert.ok(randomName === 'a' || randomName === 'b');
+            assert.equal(roundRobin.getStats()[0].idle, 1);
+        });
+    },
+
+    'PoolCluster routes around unhealthy pools and probes them again': function(beforeExit) {
+        var broken = true;
+        var events = [];
+        var names = [];
+        var clients = [];
+        var cluster = poolModule.PoolCluster({
+            maxFailures: 2,
+            probeIntervalMillis: 30,
+            pools: [{
+                create: function(callback) {
+                    if (broken) return callback(new Error('connection refused'));
+                    callback(null, {name: 'a'});
+                },
+                destroy: function(client) {},
+                createRetryIntervalMillis: 1,
+                idleTimeoutMillis: 30000
+            }, {
+                create: function(callback) {
+                    callback(null, {name: 'b'});
+                },
+                destroy: function(client) {},
+                max: 5,
+                idleTimeoutMillis: 30000
+            }]
+        });
+        cluster.on('unhealthy', function(pool, err) {
+            events.push('unhealthy: ' + err.message);
+        });
+        cluster.on('healthy', function(pool) {
+            events.push('healthy');
+        });
+
+        var acquire = function(count, done) {
+            cluster.acquire(function(err, client) {
+                assert.ifError(err);
+                names.push(client.name);
+                clients.push(client);
+                if (count > 1) return acquire(count - 1, done);
+                done();
+            });
+        };
+        acquire(3, function() {
+            assert.deepEqual(names, ['b', 'b', 'b']);
+            assert.equal(cluster.getStats()[0].healthy, false);
+            broken = false;
+            setTimeout(function() {
+                acquire(1, function() {
+                    assert.equal(cluster.getStats()[0].healthy, true);
+                    clients.forEach(function(client) {
+                        cluster.release(client);
+                    });
+                    cluster.close().then(function() {
+                        return cluster.acquire();
+                    }).catch(function(err) {
+                        events.push(err.message);
+                    });
+                });
+            }, 40);
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(names, ['b', 'b', 'b', 'a']);
+            assert.deepEqual(events, ['unhealthy: connection refused', 'healthy', 'Pool is closed and cannot accept work']);
+        });
+    },
+
+    'PoolCluster fails over from pools which are backing off': function(beforeExit) {
+        var attempts = 0;
+        var names = [];
+        var elapsed = null;
+        var cluster = poolModule.PoolCluster({
+            maxFailures: 1,
+            probeIntervalMillis: 1,
+            pools: [{
+                create: function(callback) {
+                    attempts++;
+                    callback(new Error('connection refused'));
+                },
+                destroy: function(client) {},
+                createRetryIntervalMillis: 500,
+                idleTimeoutMillis: 30000
+            }, {
+                create: function(callback) {
+                    callback(null, {name: 'b'});
+                },
+                destroy: function(client) {},
+                max: 5,
+                idleTimeoutMillis: 30000
+            }]
+        });
+        var startedAt = new Date().getTime();
+
+        var acquire = function(count, done) {
+            cluster.acquire(function(err, client) {
+                assert.ifError(err);
+                names.push(client.name);
+                cluster.release(client);
+                if (count > 1) return setTimeout(function() {
+                    acquire(count - 1, done);
+                }, 5);
+                done();
+            });
+        };
+        acquire(6, function() {
+            elapsed = new Date().getTime() - startedAt;
+            cluster.close();
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(names, ['b', 'b', 'b', 'b', 'b', 'b']);
+            assert.equal(attempts, 1);
+            assert.ok(elapsed < 200, 'took ' + elapsed + 'ms');
+        });
+    },
+
+    'PriorityQueue puts out of range priorities in the lowest slot': function() {
+        var queue = new poolModule.PriorityQueue(3);
+        assert.equal(queue.slotFor(5), 2);
+        assert.equal(queue.slotFor(3), 2);
+        assert.equal(queue.slotFor(-1), 2);
+        assert.equal(queue.slotFor('1'), 1);
+        assert.equal(queue.slotFor(undefined), 0);
+
+        queue.enqueue('last', 7);
+        queue.enqueue('negative', -1);
+        queue.enqueue('first', 0);
+        assert.deepEqual(queue.slotSizes(), [1, 0, 2]);
+        assert.equal(queue.dequeue(), 'first');
+        assert.equal(queue.dequeue(), 'last');
+        assert.equal(queue.dequeue(), 'negative');
+        assert.equal(queue.dequeue(), null);
+    },
+
+    'PriorityQueue ages waiting objects up a slot every agingMillis': function() {
+        var now = new Date().getTime();
+        var strict = new poolModule.PriorityQueue(3);
+        var aging = new poolModule.PriorityQueue(3, 10);
+        [strict, aging].forEach(function(queue) {
+            queue.enqueue('old low', 2, false, now - 35);
+            queue.enqueue('old medium', 1, false, now - 5);
+            queue.enqueue('high', 0);
+        });
+
+        assert.equal(strict.dequeue(), 'high');
+        assert.equal(strict.dequeue(), 'old medium');
+        assert.equal(aging.dequeue(), 'old low');
+        assert.equal(aging.dequeue(), 'high');
+        assert.equal(aging.dequeue(), 'old medium');
+    },
+
+    'priorityAgingMillis keeps low priority clients from starving': function(beforeExit) {
+        var stopAt = new Date().getTime() + 200;
+        var lowAcquiredAt = null;
+        var highs = 0;
+        var pool = poolModule.Pool({
+            name: 'test-priority-aging',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            priorityRange: 2,
+            priorityAgingMillis: 20,
+            idleTimeoutMillis: 30000
+        });
+
+        var high = function() {
+            pool.acquire(function(err, client) {
+                highs++;
+                if (new Date().getTime() < stopAt) high();
+                setTimeout(function() {
+                    pool.release(client);
+                }, 5);
+            }, 0);
+        };
+        high();
+        high();
+        pool.acquire(function(err, client) {
+            lowAcquiredAt = new Date().getTime();
+            pool.release(client);
+        }, 1);
+
+        beforeExit(function() {
+            assert.ok(lowAcquiredAt !== null);
+            assert.ok(lowAcquiredAt < stopAt, 'low priority client waited until the load stopped');
+            assert.ok(highs > 10);
+        });
+    },
+
+    'acquire can be aborted with an AbortSignal': function(beforeExit) {
+        var errors = [];
+        var pool = poolModule.Pool({
+            name: 'test-abort',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 30000
+        });
+        var aborted = new AbortController();
+        aborted.abort();
+        var controller = new AbortController();
+        var acquiredLater = false;
+
+        pool.acquire({signal: aborted.signal}).catch(function(err) {
+            assert.ok(err instanceof poolModule.AbortError);
+            errors.push(err.message);
+        });
+        pool.acquire(function(err, client) {
+            pool.acquire(function(err, other) {
+                errors.push(err.message);
+            }, {signal: controller.signal, timeoutMillis: 1000});
+            pool.acquire(function(err, other) {
+                assert.ifError(err);
+                acquiredLater = true;
+            });
+            assert.equal(pool.getStats().pending, 2);
+            controller.abort();
+            assert.equal(pool.getStats().pending, 1);
+            pool.release(client);
+        }, {signal: new AbortController().signal});
+
+        beforeExit(function() {
+            assert.deepEqual(errors, ['Acquire was aborted', 'Acquire was aborted']);
+            assert.ok(acquiredLater);
+            assert.equal(pool.getStats().acquiresAborted, 2);
+            assert.equal(pool.getStats().acquireTimeouts, 0);
+        });
+    },
+
+    'a resource being validated for an aborted acquire goes back to the pool': function(beforeExit) {
+        var controller = new AbortController();
+        var error = null;
+        var pool = poolModule.Pool({
+            name: 'test-abort-validating',
+            create: function(callback) {
+                callback(null, {});
+            },
+            validate: function(client, callback) {
+                setTimeout(function() {
+                    callback(null, true);
+                }, 10);
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.acquire(function(err, client) {
+            pool.release(client);
+            pool.acquire(function(err, client) {
+                error = err;
+                assert.equal(client, undefined);
+            }, {signal: controller.signal});
+            controller.abort();
+            controller.abort();
+        });
+
+        beforeExit(function() {
+            assert.ok(error instanceof poolModule.AbortError);
+            assert.equal(pool.availableObjects.length, 1);
+            assert.equal(pool.borrowedObjects.length, 0);
+        });
+    },
+
+    'keeps metadata for each resource': function(beforeExit) {
+        var valid = true;
+        var pool = poolModule.Pool({
+            name: 'test-resource-info',
+            create: function(callback) {
+                callback(null, {});
+            },
+            validate: function(client) {
+                return valid;
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 30000
+        });
+        var infos = [];
+
+        assert.equal(pool.getResourceInfo({}), null);
+        pool.acquire(function(err, client) {
+            var info = pool.getResourceInfo(client);
+            assert.equal(info.useCount, 1);
+            assert.equal(info.borrowed, true);
+            assert.equal(info.lastReturnedAt, null);
+            assert.equal(info.lastValidationResult, null);
+            // Lent as soon as it's created, though the clock may tick in between.
+            assert.ok(info.lastBorrowedAt >= info.createdAt);
+            pool.release(client);
+            pool.acquire(function(err, client) {
+                infos.push(pool.getResourceInfo(client));
+                valid = false;
+                pool.release(client);
+                infos.push(pool.getResourceInfo(client));
+                pool.acquire(function(err, other) {
+                    assert.equal(pool.getResourceInfo(client), null);
+                    pool.release(other);
+                });
+            });
+        });
+
+        beforeExit(function() {
+            assert.equal(infos[0].useCount, 2);
+            assert.equal(infos[0].lastValidationResult, true);
+            assert.ok(infos[0].lastReturnedAt >= infos[0].createdAt);
+            assert.ok(infos[0].lastValidatedAt >= infos[0].lastReturnedAt);
+            assert.equal(infos[1].borrowed, false);
+            assert.equal(infos[1].useCount, 2);
+        });
+    },
+
+    'lease mode hands out leases which can only be ended once': function(beforeExit) {
+        var errors = [];
+        var destroyed = 0;
+        var pool = poolModule.Pool({
+            name: 'test-lease',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {
+                destroyed++;
+            },
+            max: 2,
+            lease: true,
+            idleTimeoutMillis: 30000
+        });
+        var plain = null;
+
+        pool.acquire(function(err, lease) {
+            assert.ok(lease instanceof poolModule.Lease);
+            assert.equal(lease.info().useCount, 1);
+            assert.equal(lease.info().borrowed, true);
+            lease.release().then(function() {
+                assert.equal(lease.info().borrowed, false);
+                assert.ok(lease.info().lastReturnedAt !== null);
+                return lease.release();
+            }).catch(function(err) {
+                errors.push(err.message);
+                return pool.acquire();
+            }).then(function(lease) {
+                return lease.destroy().then(function() {
+                    return lease.destroy();
+                });
+            }).catch(function(err) {
+                errors.push(err.message);
+            });
+        });
+        pool.acquireMany(2, function(err, leases) {
+            assert.ok(leases[0] instanceof poolModule.Lease);
+            leases.forEach(function(lease) {
+                lease.release();
+            });
+            pool.acquire(function(err, client) {
+                plain = client;
+                pool.release(client);
+            }, {lease: false});
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(errors, ['Lease has already been released', 'Lease has already been released']);
+            assert.equal(destroyed, 1);
+            assert.ok(plain !== null && !(plain instanceof poolModule.Lease));
+        });
+    },
+
+    'KeyedPool wakes other keys when a lease is released': function(beforeExit) {
+        var acquired = [];
+        var pool = poolModule.KeyedPool({
+            name: 'test-keyed-lease',
+            create: function(key, callback) {
+                callback(null, {key: key});
+            },
+            destroy: function(key, client) {},
+            max: 1,
+            maxTotal: 1,
+            lease: true,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.acquire('a', function(err, lease) {
+            assert.ok(lease instanceof poolModule.Lease);
+            acquired.push('a');
+
+            // Waits for room, until the lease under 'a' is released.
+            pool.acquire('b', function(err, lease) {
+                assert.ok(lease instanceof poolModule.Lease);
+                acquired.push('b');
+                lease.release();
+            });
+            assert.equal(pool.getStats().keys.b.pending, 1);
+            lease.release();
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(acquired, ['a', 'b']);
+        });
+    },
+
+    'logs to a log function with the pool name and level': function(beforeExit) {
+        var logged = [];
+        var valid = true;
+        var fail = false;
+        var pool = poolModule.Pool({
+            name: 'test-log',
+            create: function(callback) {
+                if (fail) return callback(new Error('refused'));
+                callback(null, {});
+            },
+            validate: function(client) {
+                return valid;
+            },
+            destroy: function(client) {},
+            max: 1,
+            idleTimeoutMillis: 10,
+            reapIntervalMillis: 10,
+            log: function(message, level) {
+                logged.push(level + ': ' + message);
+            }
+        });
+
+        pool.acquire(function(err, client) {
+            pool.release(client);
+            valid = false;
+            fail = true;
+            pool.acquire(function(err) {
+                assert.equal(err.message, 'refused');
+                fail = false;
+                pool.acquire(function(err, client) {
+                    pool.release(client);
+                    pool.drain(function() {
+                        assert.equal(pool.count, 1);
+                    });
+                });
+            });
+        });
+        waitForReaper(100);
+
+        beforeExit(function() {
+            var has = function(line) {
+                return logged.indexOf(line) !== -1;
+            };
+            assert.ok(logged.every(function(line) {
+                return /^(verbose|info|warn|error): pool test-log - /.test(line);
+            }));
+            assert.ok(has('verbose: pool test-log - dispense() clients=1 available=0'));
+            assert.ok(has('warn: pool test-log - resource failed validation'));
+            assert.ok(has('error: pool test-log - create failed: refused'));
+            assert.ok(has('info: pool test-log - draining, waiting on 0 borrowed resources and 0 waiting clients'));
+            assert.ok(has('info: pool test-log - drained'));
+            assert.ok(has('verbose: pool test-log - removing idle resource, 0 left'));
+            assert.ok(logged.some(function(line) {
+                return /^verbose: pool test-log - created a resource in \d+ms, count=1$/.test(line);
+            }));
+        });
+    },
+
+    'logs to the console from the log level up': function() {
+        var lines = [];
+        var log = console.log;
+        console.log = function(line) {
+            lines.push(line);
+        };
+        try {
+            var pool = poolModule.Pool({
+                name: 'test-console-log',
+                create: function(callback) {
+                    callback(new Error('refused'));
+                },
+                destroy: function(client) {},
+                log: 'warn'
+            });
+            pool.acquire(function(err) {});
+            poolModule.Pool({
+                create: function(callback) {
+                    callback(null, {});
+                },
+                log: true
+            }).acquire(function(err, client) {});
+        } finally {
+            console.log = log;
+        }
+        assert.equal(lines[0], 'ERROR pool test-console-log - create failed: refused');
+        assert.equal(lines.length, 3);
+        assert.equal(lines[1], 'VERBOSE pool - dispense() clients=1 available=0');
+    },
+
+    'ready settles once the minimum has been created': function(beforeExit) {
+        var readyCount = null;
+        var pool = poolModule.Pool({
+            name: 'test-ready',
+            create: function(callback) {
+                setTimeout(function() {
+                    callback(null, {});
+                }, 5);
+            },
+            destroy: function(client) {},
+            min: 3,
+            max: 5,
+            idleTimeoutMillis: 30000
+        });
+
+        pool.ready().then(function() {
+            readyCount = pool.availableObjects.length;
+            pool.ready(function(err) {
+                assert.ifError(err);
+            });
+        });
+        assert.equal(pool.started, true);
+
+        beforeExit(function() {
+            assert.equal(readyCount, 3);
+        });
+    },
+
+    'autostart false waits for start before creating': function(beforeExit) {
+        var created = 0;
+        var events = [];
+        var options = {
+            name: 'test-autostart',
+            create: function(callback) {
+                created++;
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            min: 2,
+            max: 5,
+            autostart: false,
+            idleTimeoutMillis: 30000
+        };
+        var pool = poolModule.Pool(options);
+        var lazy = poolModule.Pool(options);
+
+        pool.ready(function(err) {
+            assert.ifError(err);
+            events.push('ready with ' + pool.count);
+        });
+        assert.equal(created, 0);
+        setTimeout(function() {
+            events.push('start');
+            pool.start();
+            pool.start();
+        }, 10);
+
+        lazy.acquire(function(err, client) {
+            assert.ifError(err);
+            assert.equal(lazy.started, true);
+            lazy.release(client);
+        });
+
+        beforeExit(function() {
+            assert.deepEqual(events, ['start', 'ready with 2']);
+            assert.equal(created, 4);
+        });
+    },
+
+    'ready fails with the create error after retries': function(beforeExit) {
+        var attempts = 0;
+        var error = null;
+        var pool = poolModule.Pool({
+            name: 'test-ready-error',
+            create: function(callback) {
+                attempts++;
+                callback(new Error('connection refused'));
+            },
+            destroy: function(client) {},
+            min: 1,
+            createRetries: 2,
+            createRetryIntervalMillis: 1
+        });
+
+        pool.ready().catch(function(err) {
+            error = err;
+            return pool.close();
+        });
+
+        beforeExit(function() {
+            assert.equal(error.message, 'connection refused');
+            assert.equal(attempts, 3);
+        });
+    }
 };
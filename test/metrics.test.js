@@ -0,0 +1,113 @@
+var assert = require('assert');
+var poolModule = require('..');
+var metrics = require('../metrics');
+
+module.exports = {
+
+    'exports gauges, counters and histograms for each pool': function(beforeExit) {
+        var text = null;
+        var pool = poolModule.Pool({
+            name: 'test-metrics',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {},
+            max: 2,
+            priorityRange: 2,
+            idleTimeoutMillis: 30000
+        });
+        var other = poolModule.Pool({
+            name: 'other "pool"',
+            create: function(callback) {
+                callback(new Error('refused'));
+            },
+            destroy: function(client) {}
+        });
+        var exporter = metrics.Exporter({pools: [pool], buckets: [1, 0.01]});
+        exporter.add(other);
+
+        pool.acquire(function(err, client) {
+            pool.acquire(function(err, second) {
+                pool.acquire(function(err, third) {
+                    text = exporter.metrics();
+                    pool.release(third);
+                    pool.release(second);
+                }, 1);
+                setTimeout(function() {
+                    pool.release(client);
+                }, 20);
+                text = exporter.metrics();
+                assert.ok(text.indexOf('generic_pool_waiting{pool="test-metrics",priority="1"} 1\n') !== -1);
+            });
+        });
+        other.acquire(function(err) {});
+
+        beforeExit(function() {
+            var lines = text.split('\n');
+            var has = function(line) {
+                assert.ok(lines.indexOf(line) !== -1, 'missing ' + line);
+            };
+            assert.equal(exporter.contentType, metrics.CONTENT_TYPE);
+            assert.equal(lines[0], '# TYPE generic_pool_size gauge');
+            assert.equal(lines[lines.length - 2], '# EOF');
+            has('generic_pool_size{pool="test-metrics"} 2');
+            has('generic_pool_idle{pool="test-metrics"} 0');
+            has('generic_pool_borrowed{pool="test-metrics"} 2');
+            has('generic_pool_waiting{pool="test-metrics",priority="0"} 0');
+            has('generic_pool_waiting{pool="test-metrics",priority="1"} 0');
+            has('# TYPE generic_pool_creates counter');
+            has('generic_pool_creates_total{pool="test-metrics"} 2');
+            has('generic_pool_destroys_total{pool="test-metrics"} 0');
+            has('generic_pool_create_errors_total{pool="other \\"pool\\""} 1');
+            has('generic_pool_validation_failures_total{pool="test-metrics"} 0');
+            has('generic_pool_acquire_timeouts_total{pool="test-metrics"} 0');
+            has('# TYPE generic_pool_acquire_wait_seconds histogram');
+            has('generic_pool_acquire_wait_seconds_bucket{pool="test-metrics",le="0.01"} 2');
+            has('generic_pool_acquire_wait_seconds_bucket{pool="test-metrics",le="1"} 3');
+            has('generic_pool_acquire_wait_seconds_bucket{pool="test-metrics",le="+Inf"} 3');
+            has('generic_pool_acquire_wait_seconds_count{pool="test-metrics"} 3');
+            has('generic_pool_create_duration_seconds_count{pool="test-metrics"} 2');
+            has('generic_pool_create_duration_seconds_count{pool="other \\"pool\\""} 0');
+        });
+    },
+
+    'stops observing pools once removed': function() {
+        var pool = poolModule.Pool({
+            name: 'test-metrics-remove',
+            create: function(callback) {
+                callback(null, {});
+            },
+            destroy: function(client) {}
+        });
+        var exporter = new metrics.Exporter({pools: [pool]});
+        assert.equal(pool.listeners('acquire').length, 1);
+        exporter.remove(pool);
+        assert.equal(pool.listeners('acquire').length, 0);
+        assert.equal(pool.listeners('create').length, 0);
+        assert.equal(exporter.metrics().indexOf('test-metrics-remove'), -1);
+    },
+
+    'refuses pools without a name of their own': function() {
+        var factory = function(name) {
+            return poolModule.Pool({
+                name: name,
+                create: function(callback) {
+                    callback(null, {});
+                },
+                destroy: function(client) {}
+            });
+        };
+        var exporter = metrics.Exporter({pools: [factory('test-metrics-names')]});
+        assert.throws(function() {
+            exporter.add(factory(''));
+        }, /Pools need a name to be exported/);
+        assert.throws(function() {
+            exporter.add(factory('test-metrics-names'));
+        }, /A pool named test-metrics-names is already exported/);
+        assert.equal(exporter.entries.length, 1);
+        assert.equal(exporter.metrics().split('\n').filter(function(line) {
+            return line.indexOf('generic_pool_size{') === 0;
+        }).length, 1);
+    }
+
+};